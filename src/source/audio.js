@@ -1,131 +1,1008 @@
+import { createLogger } from "./logger.js";
+import { concatPcm, deinterleavePcm, encodeWavChunks, int16ToFloat32, interleavePcm } from "./wav.js";
+
+/**
+ * 流式重采样器（DSP 核心），支持任意比例的升采样与降采样。
+ * - `linear`：线性插值，开销最小，但降采样时没有抗混叠滤波
+ * - `sinc`：Blackman 窗 sinc 低通（预计算多相核表），降采样时截止频率随比例下移，可有效抑制混叠
+ *
+ * 每次 `process` 只返回已经能确定的输出样本，剩余的尾部在 `flush` 时补零输出，
+ * 多次 `process` 的结果拼接后与一次性处理完全一致，因此既能在 AudioWorklet 中逐帧使用，
+ * 也能在主线程 / Node 中处理离线的 Float32Array。
+ *
+ * 注意：该类的源码会被注入到 AudioWorklet 代码中，类体内不能引用模块内的其他标识符。
+ */
+export class PcmResampler {
+    /**
+     * @param {number} sourceRate - 输入采样率
+     * @param {number} targetRate - 输出采样率
+     * @param {object} [options]
+     * @param {'linear'|'sinc'} [options.quality='sinc'] - 重采样质量
+     * @param {number} [options.zeroCrossings=16] - sinc 核单侧过零点个数，越大过渡带越陡、计算量越大
+     * @param {number} [options.rolloff=0.945] - 截止频率相对于（较低一方）奈奎斯特频率的比例
+     * @param {number} [options.phases=256] - 每个输入采样间隔内预计算的核相位数
+     */
+    constructor(sourceRate, targetRate, { quality = "sinc", zeroCrossings = 16, rolloff = 0.945, phases = 256 } = {}) {
+        if (!(sourceRate > 0) || !(targetRate > 0)) {
+            throw new RangeError(`Invalid sample rate: ${sourceRate} -> ${targetRate}`);
+        }
+        this.sourceRate = sourceRate;
+        this.targetRate = targetRate;
+        this.quality = quality;
+        this.step = sourceRate / targetRate;
+        this.phases = phases;
+
+        // 核函数 h(u) 只存 u >= 0 的一半（对称），u 以输入采样为单位
+        if (quality === "linear") {
+            this.radius = 1;
+            this.kernel = new Float32Array(phases + 2);
+            for (let i = 0; i <= phases; i++) this.kernel[i] = 1 - i / phases;
+        } else {
+            const cutoff = Math.min(1, targetRate / sourceRate) * rolloff;
+            this.radius = zeroCrossings / cutoff;
+            this.kernel = new Float32Array(Math.ceil(this.radius * phases) + 2);
+            for (let i = 0; i < this.kernel.length; i++) {
+                const u = i / phases;
+                if (u >= this.radius) break;
+                const x = Math.PI * cutoff * u;
+                const sinc = u === 0 ? 1 : Math.sin(x) / x;
+                const w = 0.42 + 0.5 * Math.cos((Math.PI * u) / this.radius) + 0.08 * Math.cos((2 * Math.PI * u) / this.radius);
+                this.kernel[i] = cutoff * sinc * w;
+            }
+        }
+        this.reset();
+    }
+
+    /**
+     * 清空内部状态，开始处理一段新的音频。
+     */
+    reset() {
+        this.pad = Math.ceil(this.radius);
+        this.buffer = new Float32Array(Math.max(4096, this.pad * 4));
+        this.length = this.pad; // 前置补零，使第一个输出采样与第一个输入采样对齐
+        this.position = this.pad;
+        this.inputCount = 0;
+        this.outputCount = 0;
+    }
+
+    /**
+     * 输入一段采样，返回当前可以输出的重采样结果。
+     * @param {Float32Array} input
+     * @returns {Float32Array}
+     */
+    process(input) {
+        this._append(input);
+        this.inputCount += input.length;
+        return this._drain(Infinity);
+    }
+
+    /**
+     * 输出剩余的尾部样本并重置状态；输出总长度为 `ceil(输入长度 * targetRate / sourceRate)`。
+     * @returns {Float32Array}
+     */
+    flush() {
+        const expected = Math.ceil((this.inputCount * this.targetRate) / this.sourceRate);
+        this._append(new Float32Array(this.pad + 1));
+        const output = this._drain(Math.max(0, expected - this.outputCount));
+        this.reset();
+        return output;
+    }
+
+    _append(input) {
+        if (this.length + input.length > this.buffer.length) {
+            const grown = new Float32Array(Math.max(this.buffer.length * 2, this.length + input.length));
+            grown.set(this.buffer.subarray(0, this.length));
+            this.buffer = grown;
+        }
+        this.buffer.set(input, this.length);
+        this.length += input.length;
+    }
+
+    _drain(limit) {
+        const { buffer, kernel, phases, step, pad } = this;
+        const maxLength = kernel.length - 1;
+        const available = Math.max(0, Math.ceil((this.length - pad - this.position) / step));
+        const output = new Float32Array(Math.min(available, limit));
+        let count = 0;
+        let position = this.position;
+
+        while (count < output.length && Math.floor(position) + pad < this.length) {
+            const center = Math.floor(position);
+            let sum = 0;
+            for (let k = center - pad + 1; k <= center + pad; k++) {
+                const d = Math.abs(position - k) * phases;
+                const i = d | 0;
+                if (i >= maxLength) continue;
+                sum += buffer[k] * (kernel[i] + (kernel[i + 1] - kernel[i]) * (d - i));
+            }
+            output[count++] = sum;
+            position += step;
+        }
+
+        // 丢弃之后不再需要的历史样本
+        const discard = Math.floor(position) - pad;
+        if (discard > 0) {
+            buffer.copyWithin(0, discard, this.length);
+            this.length -= discard;
+            position -= discard;
+        }
+        this.position = position;
+        this.outputCount += count;
+        return count === output.length ? output : output.slice(0, count);
+    }
+}
+
+/**
+ * 对一段完整的 Float32Array 采样做重采样（纯函数，可在 Node 中使用）。
+ *
+ * @param {Float32Array} input - 输入采样（-1 ~ 1）
+ * @param {number} sourceRate - 输入采样率
+ * @param {number} targetRate - 输出采样率
+ * @param {ConstructorParameters<typeof PcmResampler>[2]} [options] - 同 `PcmResampler` 的选项
+ * @returns {Float32Array} 长度为 `ceil(input.length * targetRate / sourceRate)` 的新数组
+ *
+ * @example
+ * const pcm16k = resampleFloat32(pcm48k, 48000, 16000, { quality: "sinc" });
+ */
+export function resampleFloat32(input, sourceRate, targetRate, options) {
+    if (sourceRate === targetRate) return input.slice();
+    const resampler = new PcmResampler(sourceRate, targetRate, options);
+    const head = resampler.process(input);
+    const tail = resampler.flush();
+    const output = new Float32Array(head.length + tail.length);
+    output.set(head);
+    output.set(tail, head.length);
+    return output;
+}
+
+/**
+ * 把 -1 ~ 1 的浮点采样编码为指定的输出格式。
+ * - `int16`：16-bit 有符号整数 PCM
+ * - `float32`：32-bit 浮点 PCM（限制在 -1 ~ 1）
+ * - `mulaw` / `alaw`：8-bit G.711 μ-law / A-law，常用于电话语音
+ *
+ * 注意：该函数的源码会被注入到 AudioWorklet 代码中，函数体内不能引用模块内的其他标识符。
+ *
+ * @param {Float32Array} samples - 输入采样
+ * @param {'int16'|'float32'|'mulaw'|'alaw'} [format='int16'] - 输出格式
+ * @returns {Int16Array | Float32Array | Uint8Array} `int16` 返回 Int16Array，`float32` 返回 Float32Array，其余返回 Uint8Array
+ */
+export function encodePcmSamples(samples, format = "int16") {
+    const length = samples.length;
+    if (format === "float32") {
+        const output = new Float32Array(length);
+        for (let i = 0; i < length; i++) output[i] = Math.max(-1, Math.min(1, samples[i]));
+        return output;
+    }
+    if (format === "mulaw" || format === "alaw") {
+        const output = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            const s = Math.max(-1, Math.min(1, samples[i]));
+            let pcm = Math.round(s < 0 ? s * 0x8000 : s * 0x7fff);
+            if (format === "mulaw") {
+                const sign = pcm < 0 ? 0x80 : 0;
+                if (sign) pcm = -pcm;
+                pcm = Math.min(pcm, 32635) + 0x84;
+                let exponent = 7;
+                for (let mask = 0x4000; (pcm & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+                output[i] = ~(sign | (exponent << 4) | ((pcm >> (exponent + 3)) & 0x0f)) & 0xff;
+            } else {
+                let mask = 0xd5;
+                pcm >>= 3; // A-law 以 13-bit 为基准
+                if (pcm < 0) {
+                    mask = 0x55;
+                    pcm = -pcm - 1;
+                }
+                let segment = 0;
+                while (segment < 8 && pcm >= 0x20 << segment) segment++;
+                const value = segment >= 8 ? 0x7f : (segment << 4) | ((segment < 2 ? pcm >> 1 : pcm >> segment) & 0x0f);
+                output[i] = value ^ mask;
+            }
+        }
+        return output;
+    }
+    if (format !== "int16") throw new RangeError(`Unknown PCM format: ${format}`);
+    const output = new Int16Array(length);
+    for (let i = 0; i < length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        output[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    }
+    return output;
+}
+
+/**
+ * DSP 处理链中的高通滤波（二阶 Butterworth，RBJ biquad），同时去除直流分量。
+ * 注意：以下各个处理阶段类的源码会被注入到 AudioWorklet 代码中，类体内不能引用模块内的其他标识符。
+ */
+class HighPassFilterStage {
+    constructor({ cutoff = 80, q = Math.SQRT1_2 } = {}, sampleRate) {
+        const w0 = (2 * Math.PI * cutoff) / sampleRate;
+        const alpha = Math.sin(w0) / (2 * q);
+        const cos = Math.cos(w0);
+        const a0 = 1 + alpha;
+        this.b0 = (1 + cos) / 2 / a0;
+        this.b1 = -(1 + cos) / a0;
+        this.b2 = this.b0;
+        this.a1 = (-2 * cos) / a0;
+        this.a2 = (1 - alpha) / a0;
+        this.reset();
+    }
+
+    reset() {
+        this.x1 = this.x2 = this.y1 = this.y2 = 0;
+    }
+
+    process(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+            this.x2 = this.x1;
+            this.x1 = x;
+            this.y2 = this.y1;
+            this.y1 = y;
+            samples[i] = y;
+        }
+    }
+}
+
+/**
+ * 自动增益控制：跟踪 RMS 电平，把增益平滑地调整到使电平接近 targetLevel。
+ * 电平低于 noiseFloor 时保持当前增益，避免把静音段的底噪放大。
+ */
+class AutomaticGainControlStage {
+    constructor({ targetLevel = 0.1, minGain = 0.1, maxGain = 10, attackMs = 10, releaseMs = 400, noiseFloor = 0.005 } = {}, sampleRate) {
+        this.targetLevel = targetLevel;
+        this.minGain = minGain;
+        this.maxGain = maxGain;
+        this.noiseFloor = noiseFloor;
+        this.envelopeCoef = 1 - Math.exp(-1 / (sampleRate * 0.05)); // 50ms 的 RMS 窗口
+        this.attackCoef = 1 - Math.exp(-1 / ((sampleRate * attackMs) / 1000));
+        this.releaseCoef = 1 - Math.exp(-1 / ((sampleRate * releaseMs) / 1000));
+        this.reset();
+    }
+
+    reset() {
+        this.power = 0;
+        this.gain = 1;
+    }
+
+    process(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            this.power += this.envelopeCoef * (x * x - this.power);
+            const rms = Math.sqrt(this.power);
+            if (rms > this.noiseFloor) {
+                const desired = Math.max(this.minGain, Math.min(this.maxGain, this.targetLevel / rms));
+                // 需要降低增益时快速响应，提高增益时缓慢恢复
+                this.gain += (desired < this.gain ? this.attackCoef : this.releaseCoef) * (desired - this.gain);
+            }
+            const y = x * this.gain;
+            samples[i] = y > 1 ? 1 : y < -1 ? -1 : y;
+        }
+    }
+}
+
+/**
+ * 噪声门：包络低于 threshold（并超过 hold 时间）后把信号衰减到 floor 倍。
+ */
+class NoiseGateStage {
+    constructor({ threshold = 0.01, floor = 0, attackMs = 2, releaseMs = 150, holdMs = 100 } = {}, sampleRate) {
+        this.threshold = threshold;
+        this.floor = floor;
+        this.attackCoef = 1 - Math.exp(-1 / ((sampleRate * attackMs) / 1000));
+        this.releaseCoef = 1 - Math.exp(-1 / ((sampleRate * releaseMs) / 1000));
+        this.envelopeRelease = 1 - Math.exp(-1 / (sampleRate * 0.02));
+        this.holdSamples = Math.round((sampleRate * holdMs) / 1000);
+        this.reset();
+    }
+
+    reset() {
+        this.envelope = 0;
+        this.holdCounter = 0;
+        this.gain = this.floor;
+    }
+
+    process(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            const abs = x < 0 ? -x : x;
+            this.envelope = abs > this.envelope ? abs : this.envelope + this.envelopeRelease * (abs - this.envelope);
+            let target = this.floor;
+            if (this.envelope >= this.threshold) {
+                this.holdCounter = this.holdSamples;
+                target = 1;
+            } else if (this.holdCounter > 0) {
+                this.holdCounter--;
+                target = 1;
+            }
+            this.gain += (target > this.gain ? this.attackCoef : this.releaseCoef) * (target - this.gain);
+            samples[i] = x * this.gain;
+        }
+    }
+}
+
+/**
+ * 简单的谱减法降噪：STFT（sqrt-Hann 窗，50% 重叠）后按频点估计噪声功率并衰减。
+ * 噪声估计跟踪各频点平滑功率的最小值：低于估计时立即下降，否则按 noiseRiseDb（dB/秒）缓慢上升，
+ * 因此持续的语音 / 音调不会被当成噪声。会引入 frameSize 个采样的延迟。
+ * FFT 为基 2 实现，frameSize 必须是 2 的幂，否则抛出 RangeError。
+ */
+class SpectralNoiseSuppressionStage {
+    constructor({ frameSize = 512, strength = 2, floor = 0.1, smoothing = 0.6, noiseRiseDb = 3, initFrames = 10 } = {}, sampleRate) {
+        if (!Number.isInteger(frameSize) || frameSize < 2 || (frameSize & (frameSize - 1)) !== 0) {
+            throw new RangeError("noiseSuppression frameSize must be a power of two: " + frameSize);
+        }
+        this.size = frameSize;
+        this.hop = frameSize / 2;
+        this.strength = strength;
+        this.floor = floor;
+        this.smoothing = smoothing;
+        this.noiseRise = Math.pow(10, noiseRiseDb / 10 / (sampleRate / this.hop));
+        this.initFrames = initFrames;
+        this.window = new Float32Array(frameSize);
+        for (let i = 0; i < frameSize; i++) {
+            this.window[i] = Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize));
+        }
+        this.re = new Float64Array(frameSize);
+        this.im = new Float64Array(frameSize);
+        this.reset();
+    }
+
+    reset() {
+        this.input = new Float32Array(this.size);
+        this.output = new Float32Array(this.size);
+        this.noise = new Float64Array(this.hop + 1);
+        this.power = new Float64Array(this.hop + 1);
+        this.gains = new Float64Array(this.hop + 1).fill(1);
+        this.count = 0;
+        this.frames = 0;
+    }
+
+    process(samples) {
+        const { size, hop } = this;
+        for (let i = 0; i < samples.length; i++) {
+            this.input[hop + this.count] = samples[i];
+            samples[i] = this.output[this.count];
+            if (++this.count === hop) {
+                this.count = 0;
+                this.output.copyWithin(0, hop);
+                this.output.fill(0, size - hop);
+                this.processFrame();
+                this.input.copyWithin(0, hop);
+            }
+        }
+    }
+
+    processFrame() {
+        const { size, hop, re, im, window, noise, gains } = this;
+        const smoothedPower = this.power;
+        for (let i = 0; i < size; i++) {
+            re[i] = this.input[i] * window[i];
+            im[i] = 0;
+        }
+        this.fft(re, im, false);
+
+        const initializing = this.frames < this.initFrames;
+        for (let k = 0; k <= hop; k++) {
+            const power = re[k] * re[k] + im[k] * im[k];
+            smoothedPower[k] = initializing && this.frames === 0 ? power : 0.8 * smoothedPower[k] + 0.2 * power;
+            if (initializing) {
+                noise[k] += (power - noise[k]) / (this.frames + 1);
+                continue;
+            }
+            noise[k] = Math.min(noise[k] * this.noiseRise, smoothedPower[k]);
+            const gain = Math.max(this.floor, 1 - (this.strength * noise[k]) / (power + 1e-12));
+            gains[k] = this.smoothing * gains[k] + (1 - this.smoothing) * gain;
+            re[k] *= gains[k];
+            im[k] *= gains[k];
+            if (k > 0 && k < hop) {
+                re[size - k] *= gains[k];
+                im[size - k] *= gains[k];
+            }
+        }
+        this.frames++;
+
+        this.fft(re, im, true);
+        for (let i = 0; i < size; i++) {
+            this.output[i] += re[i] * window[i];
+        }
+    }
+
+    // 原地基 2 FFT
+    fft(re, im, inverse) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                let t = re[i];
+                re[i] = re[j];
+                re[j] = t;
+                t = im[i];
+                im[i] = im[j];
+                im[j] = t;
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+            const wr = Math.cos(angle);
+            const wi = Math.sin(angle);
+            const half = len >> 1;
+            for (let i = 0; i < n; i += len) {
+                let cr = 1;
+                let ci = 0;
+                for (let k = 0; k < half; k++) {
+                    const a = i + k;
+                    const b = a + half;
+                    const tr = re[b] * cr - im[b] * ci;
+                    const ti = re[b] * ci + im[b] * cr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                    const next = cr * wr - ci * wi;
+                    ci = cr * wi + ci * wr;
+                    cr = next;
+                }
+            }
+        }
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+}
+
 const AudioStreamResamplerProcessorCode = `
+const PcmResampler = ${PcmResampler.toString()};
+const encodePcmSamples = ${encodePcmSamples.toString()};
+
+// 可用的 DSP 处理阶段，自定义阶段会在加载时追加注册
+const DSP_STAGES = {
+    highpass: ${HighPassFilterStage.toString()},
+    agc: ${AutomaticGainControlStage.toString()},
+    noiseGate: ${NoiseGateStage.toString()},
+    noiseSuppression: ${SpectralNoiseSuppressionStage.toString()}
+};
+
 class AudioStreamResamplerProcessor extends AudioWorkletProcessor {
     constructor(options) {
         super();
         const config = options.processorOptions || {};
         this.targetSampleRate = config.targetSampleRate || 16000;
         this.sourceSampleRate = sampleRate;
-        this.downsampleRatio = this.sourceSampleRate / this.targetSampleRate;
+        this.outputFormat = config.outputFormat || "int16";
+
+        // 声道处理：pick 取单个声道，downmix 混合为单声道，stereo 保留左右声道交错输出
+        this.channelMode = config.channelMode || "pick";
+        this.channel = config.channel || 0;
+        this.outputChannels = this.channelMode === "stereo" ? 2 : 1;
+
+        // 重采样前的 DSP 处理链，按配置顺序执行，每个声道一组独立的状态
+        this.dspStages = (config.dsp || []).map((stage) => {
+            const Stage = DSP_STAGES[stage.type];
+            if (!Stage) {
+                this.port.postMessage({ type: "log", level: "warn", message: "Unknown DSP stage: " + stage.type });
+                return null;
+            }
+            try {
+                return {
+                    id: stage.id || stage.type,
+                    enabled: stage.enabled !== false,
+                    instances: Array.from({ length: this.outputChannels }, () => new Stage(stage, this.sourceSampleRate))
+                };
+            } catch (err) {
+                // 配置无效的阶段跳过，不能让整个处理器构造失败
+                this.port.postMessage({ type: "log", level: "error", message: "Invalid DSP stage " + stage.type + ": " + err.message });
+                return null;
+            }
+        }).filter(Boolean);
+
+        // 每个输出声道一个重采样器，保证各声道输出长度一致
+        this.resamplers = this.sourceSampleRate === this.targetSampleRate ? null : Array.from(
+            { length: this.outputChannels },
+            () => new PcmResampler(
+                this.sourceSampleRate,
+                this.targetSampleRate,
+                { quality: config.resampleQuality || "sinc", ...config.resampleOptions }
+            )
+        );
+
+        // chunkSize 为每个 chunk 的帧数（每帧含 outputChannels 个采样）
+        // 未指定 chunkDurationMs 时：16000Hz 用 60ms chunk (960 samples)，其他用 1024
+        this.chunkSize = config.chunkDurationMs
+            ? Math.max(1, Math.round(this.targetSampleRate * config.chunkDurationMs / 1000))
+            : (this.targetSampleRate === 16000 ? 960 : 1024);
+        this.chunkSamples = this.chunkSize * this.outputChannels;
+
+        const pcmBufferSize = config.pcmBufferSize || (this.chunkSamples * 10); // 更大缓冲，减少溢出概率
+
+        // 缓冲区保存交错的浮点采样，发送 chunk 时再编码为 outputFormat
+        this.pcmBuffer = new Float32Array(pcmBufferSize);
+        this.pcmBufferIndex = 0;
+
+        // 语音活动检测（VAD），按 chunk 判定
+        this.chunkMs = this.chunkSize / this.targetSampleRate * 1000;
+        this.vad = config.vad ? {
+            energyThreshold: 0.01,       // RMS 能量阈值（0~1）
+            zeroCrossingThreshold: 0.35, // 过零率上限，高于此值视为噪声（嘶嘶声）
+            minSpeechMs: 60,             // 连续有声多久才判定为开始说话
+            hangoverMs: 400,             // 无声持续多久才判定为说话结束
+            preRollMs: 300,              // 开始说话前补发的音频时长（仅 suppressSilence 时有意义）
+            suppressSilence: false,      // 是否不发送静音 chunk
+            ...(config.vad === true ? {} : config.vad)
+        } : null;
+        this.speaking = false;
+        this.voicedMs = 0;
+        this.silenceMs = 0;
+        this.preRollChunks = [];
 
-        // 16000Hz 用 60ms chunk (960 samples)，其他用 1024
-        this.chunkSize = this.targetSampleRate === 16000 ? 960 : 1024;
+        // 电平计量（按源采样率统计），0 表示关闭
+        this.levelIntervalFrames = config.levelIntervalMs
+            ? Math.max(1, Math.round(this.sourceSampleRate * config.levelIntervalMs / 1000))
+            : 0;
+        this.levelSum = 0;
+        this.levelPeak = 0;
+        this.levelSamples = 0;
+        this.levelFrames = 0;
 
-        const sourceBufferSize = config.sourceBufferSize || 16384; // ~340ms @48kHz
-        const pcmBufferSize = config.pcmBufferSize || (this.chunkSize * 10); // 更大缓冲，减少溢出概率
+        this.port.onmessage = (event) => {
+            const message = event.data || {};
+            if (message.type === "reset") this.reset();
+            else if (message.type === "dsp") this.setDspStageEnabled(message.id, message.enabled);
+        };
+    }
 
-        this.sourceBuffer = new Float32Array(sourceBufferSize);
-        this.sourceBufferLength = 0;
+    setDspStageEnabled(id, enabled) {
+        for (const stage of this.dspStages) {
+            if (stage.id !== id || stage.enabled === enabled) continue;
+            stage.enabled = enabled;
+            // 重新启用时从干净的状态开始，避免使用过期的滤波器 / 噪声估计
+            if (enabled) stage.instances.forEach((instance) => instance.reset && instance.reset());
+        }
+    }
 
-        this.pcmBuffer = new Int16Array(pcmBufferSize);
+    // 丢弃未发送的数据与检测状态，开始新的一段录音
+    reset() {
+        if (this.resamplers) this.resamplers.forEach((resampler) => resampler.reset());
+        this.dspStages.forEach((stage) => stage.instances.forEach((instance) => instance.reset && instance.reset()));
         this.pcmBufferIndex = 0;
+        this.speaking = false;
+        this.voicedMs = 0;
+        this.silenceMs = 0;
+        this.preRollChunks = [];
+        this.levelSum = 0;
+        this.levelPeak = 0;
+        this.levelSamples = 0;
+        this.levelFrames = 0;
     }
 
     process(inputs, outputs, parameters) {
         const input = inputs[0];
         if (!input || input.length === 0 || input[0].length === 0) return true;
-        const inputChannel = input[0];
-
-        // 1. 写入源缓冲区（溢出时覆盖最旧数据）
-        const newLength = this.sourceBufferLength + inputChannel.length;
-        if (newLength > this.sourceBuffer.length) {
-            const overflow = newLength - this.sourceBuffer.length;
-            this.sourceBuffer.copyWithin(0, overflow);
-            this.sourceBufferLength = this.sourceBuffer.length - inputChannel.length;
-        }
-        this.sourceBuffer.set(inputChannel, this.sourceBufferLength);
-        this.sourceBufferLength += inputChannel.length;
-
-        // 2. 计算可降采样样本数
-        const availableOutputSamples = Math.floor(this.sourceBufferLength / this.downsampleRatio);
-        if (availableOutputSamples === 0) return true;
-
-        // 3. 线性插值降采样
-        const downsampled = new Float32Array(availableOutputSamples);
-        for (let i = 0; i < availableOutputSamples; i++) {
-            const srcIndex = i * this.downsampleRatio;
-            const srcIndexInt = Math.floor(srcIndex);
-            const fraction = srcIndex - srcIndexInt;
-            const val0 = this.sourceBuffer[srcIndexInt];
-            const val1 = srcIndexInt + 1 < this.sourceBufferLength ? this.sourceBuffer[srcIndexInt + 1] : val0;
-            downsampled[i] = val0 + (val1 - val0) * fraction;
-        }
-
-        // 4. Float32 → Int16 PCM
-        const pcmData = this.floatTo16BitPCM(downsampled);
-
-        // 5. 写入 PCM 缓冲区（空间不足时直接覆盖最旧，缓冲区足够大基本不会触发）
-        if (this.pcmBufferIndex + pcmData.length > this.pcmBuffer.length) {
+
+        // 1. 声道处理与 DSP 处理链
+        let channels = this.selectChannels(input);
+        if (this.dspStages.some((stage) => stage.enabled)) channels = this.applyDsp(channels);
+        if (this.levelIntervalFrames) this.meter(channels);
+
+        // 2. 重采样（流式，内部保留滤波所需的历史样本）
+        const resampled = this.resamplers
+            ? channels.map((data, i) => this.resamplers[i].process(data))
+            : channels;
+        const frames = resampled[0].length;
+        if (frames === 0) return true;
+
+        // 3. 交错写入 PCM 缓冲区（空间不足时直接覆盖最旧，缓冲区足够大基本不会触发）
+        const sampleCount = frames * this.outputChannels;
+        if (this.pcmBufferIndex + sampleCount > this.pcmBuffer.length) {
             // 简单策略：从头覆盖（丢弃最旧数据）
             this.pcmBufferIndex = 0;
         }
-        this.pcmBuffer.set(pcmData, this.pcmBufferIndex);
-        this.pcmBufferIndex += pcmData.length;
-
-        // 6. 发送所有完整的 chunk（关键：复制到新数组再转移）
-        while (this.pcmBufferIndex >= this.chunkSize) {
-            // 方法1：推荐，使用 slice（隐式复制到新 ArrayBuffer）
-            const chunk = this.pcmBuffer.slice(0, this.chunkSize);
+        if (this.outputChannels === 1) {
+            this.pcmBuffer.set(resampled[0], this.pcmBufferIndex);
+        } else {
+            for (let i = 0; i < frames; i++) {
+                this.pcmBuffer[this.pcmBufferIndex + i * 2] = resampled[0][i];
+                this.pcmBuffer[this.pcmBufferIndex + i * 2 + 1] = resampled[1][i];
+            }
+        }
+        this.pcmBufferIndex += sampleCount;
 
-            // 方法2：等价写法
-            // const chunk = new Int16Array(this.pcmBuffer.subarray(0, this.chunkSize));
+        // 4. 发送所有完整的 chunk（关键：复制到新数组再转移）
+        while (this.pcmBufferIndex >= this.chunkSamples) {
+            // slice 隐式复制到新 ArrayBuffer
+            const chunk = this.pcmBuffer.slice(0, this.chunkSamples);
 
-            this.port.postMessage(chunk, [chunk.buffer]); // 转移新缓冲区，安全！
+            this.handleChunk(chunk);
 
             // 移动剩余数据到开头
-            this.pcmBuffer.copyWithin(0, this.chunkSize, this.pcmBufferIndex);
-            this.pcmBufferIndex -= this.chunkSize;
-        }
-
-        // 7. 清理已消费的源数据
-        const consumedSrc = Math.floor(availableOutputSamples * this.downsampleRatio + 0.5); // 四舍五入更准
-        if (consumedSrc > 0) {
-            this.sourceBuffer.copyWithin(0, consumedSrc, this.sourceBufferLength);
-            this.sourceBufferLength -= consumedSrc;
+            this.pcmBuffer.copyWithin(0, this.chunkSamples, this.pcmBufferIndex);
+            this.pcmBufferIndex -= this.chunkSamples;
         }
 
         return true;
     }
 
-    floatTo16BitPCM(input) {
-        const output = new Int16Array(input.length);
-        for (let i = 0; i < input.length; i++) {
-            const s = Math.max(-1, Math.min(1, input[i]));
-            output[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    applyDsp(channels) {
+        // 复制后原地处理：输入缓冲区不可修改，且 stereo 模式下单声道输入的左右声道是同一个数组
+        const output = channels.map((data) => data.slice());
+        for (const stage of this.dspStages) {
+            if (!stage.enabled) continue;
+            output.forEach((data, c) => stage.instances[c].process(data));
         }
         return output;
     }
+
+    meter(channels) {
+        for (const data of channels) {
+            for (let i = 0; i < data.length; i++) {
+                const s = data[i];
+                this.levelSum += s * s;
+                const abs = s < 0 ? -s : s;
+                if (abs > this.levelPeak) this.levelPeak = abs;
+            }
+            this.levelSamples += data.length;
+        }
+        this.levelFrames += channels[0].length;
+        if (this.levelFrames >= this.levelIntervalFrames) {
+            const rms = Math.sqrt(this.levelSum / this.levelSamples);
+            this.port.postMessage({ type: "level", rms, peak: Math.min(1, this.levelPeak), time: currentTime });
+            this.levelSum = 0;
+            this.levelPeak = 0;
+            this.levelSamples = 0;
+            this.levelFrames = 0;
+        }
+    }
+
+    selectChannels(input) {
+        if (this.channelMode === "stereo") {
+            return [input[0], input[1] || input[0]];
+        }
+        if (this.channelMode === "downmix" && input.length > 1) {
+            const mixed = new Float32Array(input[0].length);
+            for (const data of input) {
+                for (let i = 0; i < mixed.length; i++) mixed[i] += data[i];
+            }
+            for (let i = 0; i < mixed.length; i++) mixed[i] /= input.length;
+            return [mixed];
+        }
+        return [input[Math.min(this.channel, input.length - 1)]];
+    }
+
+    handleChunk(chunk) {
+        const vad = this.vad;
+        if (!vad) {
+            this.postChunk(chunk, false);
+            return;
+        }
+
+        const { rms, zcr } = this.analyzeChunk(chunk);
+        const voiced = rms >= vad.energyThreshold && zcr <= vad.zeroCrossingThreshold;
+
+        if (!this.speaking) {
+            this.voicedMs = voiced ? this.voicedMs + this.chunkMs : 0;
+            if (this.voicedMs < vad.minSpeechMs || this.voicedMs === 0) {
+                if (vad.suppressSilence) {
+                    // 静音期间只保留最近的 pre-roll + 起始判定窗口，开始说话时补发
+                    this.preRollChunks.push(chunk);
+                    const keep = Math.ceil((vad.preRollMs + vad.minSpeechMs) / this.chunkMs);
+                    while (this.preRollChunks.length > keep) this.preRollChunks.shift();
+                } else {
+                    this.postChunk(chunk, false);
+                }
+                return;
+            }
+            this.speaking = true;
+            this.silenceMs = 0;
+            this.port.postMessage({ type: "vad", event: "speechStart", time: currentTime, rms });
+            for (const buffered of this.preRollChunks) this.postChunk(buffered, true);
+            this.preRollChunks = [];
+            this.postChunk(chunk, true);
+            return;
+        }
+
+        this.silenceMs = voiced ? 0 : this.silenceMs + this.chunkMs;
+        this.postChunk(chunk, true);
+        if (this.silenceMs >= vad.hangoverMs) {
+            this.speaking = false;
+            this.voicedMs = 0;
+            this.port.postMessage({ type: "vad", event: "speechEnd", time: currentTime, rms });
+        }
+    }
+
+    analyzeChunk(chunk) {
+        // 多声道时只分析第一个声道
+        const stride = this.outputChannels;
+        const frames = chunk.length / stride;
+        let sum = 0;
+        let crossings = 0;
+        for (let i = 0; i < chunk.length; i += stride) {
+            const s = chunk[i];
+            sum += s * s;
+            if (i > 0 && (s >= 0) !== (chunk[i - stride] >= 0)) crossings++;
+        }
+        return {
+            rms: Math.sqrt(sum / frames),
+            zcr: frames > 1 ? crossings / (frames - 1) : 0
+        };
+    }
+
+    postChunk(chunk, speech) {
+        const data = encodePcmSamples(chunk, this.outputFormat);
+        this.port.postMessage({ type: "data", chunk: data, speech }, [data.buffer]); // 转移新缓冲区，安全！
+    }
 }
 
 registerProcessor('audio-stream-resampler-processor', AudioStreamResamplerProcessor);
 `;
 
+const AudioStreamPlayerProcessorCode = `
+class AudioStreamPlayerProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const config = options.processorOptions || {};
+        this.channels = config.channels || 1;
+        this.targetFrames = Math.round(sampleRate * (config.targetLatencyMs ?? 200) / 1000);
+        this.maxFrames = config.maxLatencyMs ? Math.round(sampleRate * config.maxLatencyMs / 1000) : 0;
+        this.progressIntervalFrames = Math.round(sampleRate * (config.progressIntervalMs || 100) / 1000);
+
+        // 抖动缓冲区：交错的 Float32Array 片段队列
+        this.queue = [];
+        this.queueOffset = 0; // 队首片段已读取的采样数
+        this.bufferedFrames = 0;
+
+        this.playing = false;
+        this.ending = false;
+        this.playedFrames = 0;
+        this.framesSinceProgress = 0;
+
+        this.port.onmessage = (event) => this.onMessage(event.data);
+    }
+
+    onMessage(message) {
+        if (message.type === "push") {
+            this.queue.push(message.samples);
+            this.bufferedFrames += message.samples.length / this.channels;
+            this.ending = false;
+            if (this.maxFrames && this.bufferedFrames > this.maxFrames) {
+                // 延迟过大时丢弃最旧数据，回到目标延迟
+                const dropped = this.skipFrames(this.bufferedFrames - this.targetFrames);
+                this.port.postMessage({ type: "drop", frames: dropped });
+            }
+        } else if (message.type === "flush") {
+            this.ending = true;
+            if (this.bufferedFrames === 0 && !this.playing) {
+                this.ending = false;
+                this.port.postMessage({ type: "ended" });
+            }
+        } else if (message.type === "interrupt") {
+            this.queue = [];
+            this.queueOffset = 0;
+            this.bufferedFrames = 0;
+            this.playing = false;
+            this.ending = false;
+        }
+    }
+
+    skipFrames(frames) {
+        let skipped = 0;
+        while (skipped < frames && this.queue.length) {
+            const chunk = this.queue[0];
+            const available = (chunk.length - this.queueOffset) / this.channels;
+            const n = Math.min(available, frames - skipped);
+            this.queueOffset += n * this.channels;
+            skipped += n;
+            if (this.queueOffset >= chunk.length) {
+                this.queue.shift();
+                this.queueOffset = 0;
+            }
+        }
+        this.bufferedFrames -= skipped;
+        return skipped;
+    }
+
+    process(inputs, outputs, parameters) {
+        const output = outputs[0];
+        const frames = output[0].length;
+
+        if (!this.playing) {
+            // 缓冲达到目标延迟（或已 flush）才开始播放
+            if (this.bufferedFrames === 0 || (this.bufferedFrames < this.targetFrames && !this.ending)) return true;
+            this.playing = true;
+            this.port.postMessage({ type: "playing" });
+        }
+
+        let written = 0;
+        while (written < frames && this.queue.length) {
+            const chunk = this.queue[0];
+            const n = Math.min(frames - written, (chunk.length - this.queueOffset) / this.channels);
+            for (let c = 0; c < output.length; c++) {
+                const channel = output[c];
+                const source = Math.min(c, this.channels - 1);
+                for (let i = 0; i < n; i++) {
+                    channel[written + i] = chunk[this.queueOffset + i * this.channels + source];
+                }
+            }
+            written += n;
+            this.queueOffset += n * this.channels;
+            if (this.queueOffset >= chunk.length) {
+                this.queue.shift();
+                this.queueOffset = 0;
+            }
+        }
+
+        this.bufferedFrames -= written;
+        this.playedFrames += written;
+        this.framesSinceProgress += written;
+        if (this.framesSinceProgress >= this.progressIntervalFrames) {
+            this.framesSinceProgress = 0;
+            this.port.postMessage({ type: "progress", playedFrames: this.playedFrames, bufferedFrames: this.bufferedFrames });
+        }
+
+        if (written < frames) {
+            // 数据耗尽：flush 后视为播放完毕，否则为断流，重新缓冲
+            this.playing = false;
+            if (this.ending) {
+                this.ending = false;
+                this.port.postMessage({ type: "progress", playedFrames: this.playedFrames, bufferedFrames: 0 });
+                this.port.postMessage({ type: "ended" });
+            } else {
+                this.port.postMessage({ type: "underrun" });
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('audio-stream-player-processor', AudioStreamPlayerProcessor);
+`;
+
+/**
+ * 通过 Blob URL 加载 AudioWorklet 模块，返回需要在释放时 revoke 的 URL。
+ * @param {BaseAudioContext} audioContext
+ * @param {string} code - worklet 源码
+ * @returns {Promise<string>}
+ */
+async function addWorkletModule(audioContext, code) {
+    const blob = new Blob([code], { type: "application/javascript" });
+    const url = URL.createObjectURL(blob);
+    try {
+        await audioContext.audioWorklet.addModule(url);
+    } catch (err) {
+        URL.revokeObjectURL(url);
+        throw err;
+    }
+    return url;
+}
+
+/**
+ * 语音活动检测（VAD）配置，在 AudioWorklet 内按 chunk 计算 RMS 能量与过零率。
+ * @typedef {Object} AudioVadOptions
+ * @property {number} [energyThreshold=0.01] RMS 能量阈值（0~1），低于此值视为静音
+ * @property {number} [zeroCrossingThreshold=0.35] 过零率上限（0~1），高于此值视为噪声
+ * @property {number} [minSpeechMs=60] 连续有声多久才触发 speechStart
+ * @property {number} [hangoverMs=400] 连续静音多久才触发 speechEnd
+ * @property {number} [preRollMs=300] 开启 suppressSilence 时，speechStart 前补发的音频时长
+ * @property {boolean} [suppressSilence=false] 是否不向 onData 输出静音 chunk
+ */
+
+/**
+ * VAD 事件信息。
+ * @typedef {Object} AudioVadEvent
+ * @property {number} time AudioContext 时间（秒）
+ * @property {number} rms 触发时 chunk 的 RMS 能量
+ */
+
+/**
+ * 传递给 AudioWorklet 处理器的选项。
+ * @typedef {Object} AudioStreamResamplerProcessorOptions
+ * @property {number} [targetSampleRate=16000] 输出采样率
+ * @property {'sinc'|'linear'} [resampleQuality='sinc'] 重采样质量，见 `PcmResampler`
+ * @property {object} [resampleOptions] 其他重采样选项，见 `PcmResampler`
+ * @property {'pick'|'downmix'|'stereo'} [channelMode='pick'] 声道处理：取单个声道 / 混合为单声道 / 保留立体声（左右交错）
+ * @property {number} [channel=0] `channelMode="pick"` 时使用的声道序号
+ * @property {'int16'|'float32'|'mulaw'|'alaw'} [outputFormat='int16'] 输出采样格式，见 `encodePcmSamples`
+ * @property {number} [chunkDurationMs] 每个 chunk 的时长（毫秒）；不指定时 16 kHz 为 960 帧（60ms），其他采样率为 1024 帧
+ * @property {number} [pcmBufferSize] 内部缓冲区大小（采样数），默认 10 个 chunk
+ * @property {number} [levelIntervalMs] 电平计量的间隔（毫秒），设置 `onLevel` 时默认 50
+ * @property {AudioDspStageOptions[]} [dsp] 重采样前的 DSP 处理链，按数组顺序执行
+ */
+
+/**
+ * DSP 处理阶段配置。除 `type` / `id` / `enabled` 外的字段作为该阶段的参数：
+ * - `highpass`：高通滤波 / 去直流，`cutoff`（Hz，默认 80）、`q`（默认 0.707）
+ * - `agc`：自动增益，`targetLevel`（目标 RMS，默认 0.1）、`minGain`（0.1）、`maxGain`（10）、`attackMs`（10）、`releaseMs`（400）、`noiseFloor`（低于此 RMS 不调整增益，0.005）
+ * - `noiseGate`：噪声门，`threshold`（包络阈值，默认 0.01）、`floor`（关门时的增益，0）、`attackMs`（2）、`releaseMs`（150）、`holdMs`（100）
+ * - `noiseSuppression`：谱减法降噪，`frameSize`（2 的幂，默认 512）、`strength`（过减因子，2）、`floor`（最小增益，0.1）、`smoothing`（增益平滑，0.6）、`noiseRiseDb`（噪声估计上升速度，dB/秒，3）、`initFrames`（初始噪声估计帧数，10）
+ * - 其他：通过 `AudioStreamResampler` 的 `dspStages` 注册的自定义阶段
+ *
+ * 参数无效（构造时抛错）的阶段会被跳过，并通过日志记录器输出错误。
+ *
+ * @typedef {{ type: string, id?: string, enabled?: boolean, [option: string]: any }} AudioDspStageOptions
+ */
+
+/**
+ * 自定义 DSP 处理阶段。类的源码会被注入到 AudioWorklet 中运行，因此必须是自包含的
+ * （不能引用外部变量或闭包），每个声道会创建一个实例。
+ *
+ * @typedef {new (options: AudioDspStageOptions, sampleRate: number) => { process(samples: Float32Array): void, reset?(): void }} AudioDspStageClass
+ */
+
+/**
+ * 电平计量信息，适合驱动 VU 表。
+ * @typedef {Object} AudioLevelEvent
+ * @property {number} rms 该间隔内的 RMS 电平（0~1）
+ * @property {number} peak 该间隔内的峰值电平（0~1）
+ * @property {number} db RMS 电平的 dBFS 值（静音时为 -Infinity）
+ * @property {number} time AudioContext 时间（秒）
+ */
+
 /**
  * 浏览器端实时音频流重采样器。
- * 基于 AudioWorklet 将麦克风/媒体流转换为 16 kHz、16-bit、单声道 PCM，
+ * 基于 AudioWorklet 将麦克风/媒体流转换为 16 kHz、16-bit、单声道 PCM（声道、采样率与采样格式均可配置），
  * 并通过回调逐块输出，可选保存完整 PCM 用于后续合并。
+ * 可选开启语音活动检测（VAD），在说话开始/结束时回调，并可丢弃静音 chunk 以节省带宽。
+ *
+ * 生命周期：`init` → `setMediaStream` / `start` → `pause` / `resume` → `stop`，
+ * `stop` 后可以直接再次 `setMediaStream` / `start` 开始下一段录音，不再使用时调用 `destroy` 释放 AudioContext。
  */
 export class AudioStreamResampler {
     /**
      * @param {object} config
-     * @param {function(Int16Array)} config.onData - 收到一个 chunk PCM 数据的回调
+     * @param {function(Int16Array | Float32Array | Uint8Array, {speech: boolean}): void} config.onData - 收到一个 chunk PCM 数据的回调，数组类型由 `outputFormat` 决定，立体声时左右声道交错；`speech` 表示该 chunk 是否处于说话段（未开启 VAD 时恒为 false）
      * @param {function(string, string)} [config.onStateChange] - 状态变化回调
-     * @param {object} [config.processorOptions] - 传递给 AudioWorklet 的选项
+     * @param {boolean | AudioVadOptions} [config.vad] - 开启语音活动检测，传 true 使用默认配置
+     * @param {function(AudioVadEvent): void} [config.onSpeechStart] - 检测到开始说话
+     * @param {function(AudioVadEvent): void} [config.onSpeechEnd] - 检测到说话结束
+     * @param {function(AudioLevelEvent): void} [config.onLevel] - 实时电平回调（间隔见 `processorOptions.levelIntervalMs`）
+     * @param {AudioStreamResamplerProcessorOptions} [config.processorOptions] - 传递给 AudioWorklet 的选项
+     * @param {Record<string, AudioDspStageClass>} [config.dspStages] - 注册自定义 DSP 处理阶段，键名即 `processorOptions.dsp` 中的 `type`
      * @param {boolean} [config.saveFullPcm=false] - 是否在内部保存所有 PCM 用于 stop 时合并（长时间录音建议关闭）
+     * @param {number} [config.maxDurationMs=0] - 单段录音的最大时长，达到后自动停止，0 表示不限制
+     * @param {number} [config.maxBufferBytes=0] - `saveFullPcm` 保存数据的最大字节数，达到后自动停止，0 表示不限制
+     * @param {function('maxDuration'|'maxBuffer', (Int16Array | Float32Array | Uint8Array | null)): void} [config.onAutoStop] - 自动停止回调，第二个参数为完整 PCM（未开启 saveFullPcm 时为 null）
+     * @param {import("./logger.js").Logger} [config.logger] - 日志记录器，默认 `createLogger("audio")`
      */
     constructor(config) {
         this.onData = config.onData || (() => {});
         this.onStateChange = config.onStateChange || (() => {});
         this.processorOptions = config.processorOptions || {};
+        this.dspStages = config.dspStages || {};
+        this.vad = config.vad || null;
+        this.onSpeechStart = config.onSpeechStart || (() => {});
+        this.onSpeechEnd = config.onSpeechEnd || (() => {});
+        this.onLevel = config.onLevel || null;
         this.saveFullPcm = config.saveFullPcm ?? false;
+        this.maxDurationMs = config.maxDurationMs || 0;
+        this.maxBufferBytes = config.maxBufferBytes || 0;
+        this.onAutoStop = config.onAutoStop || (() => {});
+        this.logger = config.logger || createLogger("audio");
 
         this.audioContext = null;
         this.workletNode = null;
         this.source = null;
+        this.ownedStream = null;
         this.workletUrl = null;
         this.fullPcmData = this.saveFullPcm ? [] : null;
+        this.fullPcmBytes = 0;
+        this.recordedFrames = 0;
 
         this.isInitialized = false;
         this.isProcessing = false;
+        this.isPaused = false;
+        this.isSpeaking = false;
+    }
+
+    /**
+     * 当前这段录音已输出的时长（毫秒，不含暂停期间）。
+     * @returns {number}
+     */
+    get recordedDurationMs() {
+        return (this.recordedFrames / (this.processorOptions.targetSampleRate || 16000)) * 1000;
     }
 
     /**
@@ -137,43 +1014,74 @@ export class AudioStreamResampler {
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-            const blob = new Blob([AudioStreamResamplerProcessorCode], { type: "application/javascript" });
-            this.workletUrl = URL.createObjectURL(blob);
-            await this.audioContext.audioWorklet.addModule(this.workletUrl);
+            const customStages = Object.entries(this.dspStages).map(([type, Stage]) => `DSP_STAGES[${JSON.stringify(type)}] = ${Stage.toString()};`);
+            this.workletUrl = await addWorkletModule(this.audioContext, [AudioStreamResamplerProcessorCode, ...customStages].join("\n"));
 
             this.workletNode = new AudioWorkletNode(this.audioContext, "audio-stream-resampler-processor", {
-                processorOptions: this.processorOptions
+                processorOptions: {
+                    vad: this.vad,
+                    levelIntervalMs: this.onLevel ? 50 : 0,
+                    ...this.processorOptions
+                }
             });
 
-            this.workletNode.port.onmessage = (event) => {
-                const chunk = event.data; // Int16Array
-                this.onData(chunk);
-                if (this.saveFullPcm) {
-                    this.fullPcmData.push(chunk);
-                }
-            };
+            this.workletNode.port.onmessage = (event) => this._onWorkletMessage(event.data);
 
             this.isInitialized = true;
             this.onStateChange("ready", "音频环境已就绪");
         } catch (err) {
-            console.error("AudioStreamResampler init error:", err);
+            this.logger.error("AudioStreamResampler init error:", err);
             this.onStateChange("error", `初始化失败: ${err.message}`);
         }
     }
 
+    /**
+     * 打开麦克风并开始处理，未初始化时会先调用 `init`。
+     * 通过此方法获得的媒体轨道由实例持有，在 `stop` / `destroy` 或切换媒体流时自动关闭。
+     *
+     * @param {MediaStreamConstraints} [constraints={ audio: true }] - 传给 getUserMedia 的约束
+     * @returns {Promise<MediaStream>}
+     */
+    async start(constraints = { audio: true }) {
+        if (!this.isInitialized) {
+            await this.init();
+            if (!this.isInitialized) throw new Error("AudioStreamResampler init failed");
+        }
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia(constraints);
+        } catch (err) {
+            this.logger.error("getUserMedia error:", err);
+            this.onStateChange("error", `无法打开麦克风: ${err.message}`);
+            throw err;
+        }
+        this.setMediaStream(stream);
+        this.ownedStream = stream;
+        return stream;
+    }
+
     /**
      * 绑定媒体流，开始实时处理。
      * @param {MediaStream} stream - 通过 getUserMedia 或其他方式获得的流
      */
     setMediaStream(stream) {
         if (!this.isInitialized) {
-            console.error("请先调用 init()");
+            this.logger.error("请先调用 init()");
             return;
         }
 
         if (this.source) {
             this.source.disconnect();
         }
+        if (this.ownedStream && this.ownedStream !== stream) {
+            this._releaseOwnedStream();
+        }
+        if (!this.isProcessing) {
+            this._resetRecording();
+        }
+        if (this.audioContext.state === "suspended") {
+            this.audioContext.resume().catch((err) => this.logger.warn("AudioContext resume error:", err));
+        }
 
         this.source = this.audioContext.createMediaStreamSource(stream);
         this.source.connect(this.workletNode);
@@ -181,12 +1089,44 @@ export class AudioStreamResampler {
         // this.workletNode.connect(this.audioContext.destination);
 
         this.isProcessing = true;
+        this.isPaused = false;
+        this.onStateChange("processing", "正在处理音频流...");
+    }
+
+    /**
+     * 运行时开启 / 关闭某个 DSP 处理阶段。
+     * @param {string} id - 阶段的 `id`（未指定时为 `type`）
+     * @param {boolean} enabled
+     */
+    setDspStageEnabled(id, enabled) {
+        if (!this.workletNode) return;
+        this.workletNode.port.postMessage({ type: "dsp", id, enabled });
+    }
+
+    /**
+     * 暂停处理：断开媒体流，暂停期间的音频不会输出，也不计入录音时长。
+     */
+    pause() {
+        if (!this.isProcessing || this.isPaused) return;
+        if (this.source) this.source.disconnect();
+        this.isPaused = true;
+        this.onStateChange("paused", "已暂停");
+    }
+
+    /**
+     * 从暂停中恢复处理。
+     */
+    resume() {
+        if (!this.isProcessing || !this.isPaused) return;
+        if (this.source) this.source.connect(this.workletNode);
+        this.isPaused = false;
         this.onStateChange("processing", "正在处理音频流...");
     }
 
     /**
-     * 停止处理并释放资源。
-     * @param {(fullPcm: Int16Array) => void} [callback] - 若构造时 `saveFullPcm=true`，会把合并后的完整 PCM 通过此回调传出
+     * 停止当前这段录音：断开媒体流、关闭由 `start` 打开的麦克风并挂起 AudioContext。
+     * AudioWorklet 保持加载，之后可直接再次 `setMediaStream` / `start`；彻底释放请调用 `destroy`。
+     * @param {(fullPcm: Int16Array | Float32Array | Uint8Array) => void} [callback] - 若构造时 `saveFullPcm=true`，会把合并后的完整 PCM 通过此回调传出
      */
     stop(callback) {
         if (!this.isProcessing) return;
@@ -197,24 +1137,119 @@ export class AudioStreamResampler {
             this.source.disconnect();
             this.source = null;
         }
+        this._releaseOwnedStream();
+        if (this.audioContext && this.audioContext.state === "running") {
+            this.audioContext.suspend().catch((err) => this.logger.warn("AudioContext suspend error:", err));
+        }
 
-        this._cleanup();
+        const fullPcm = this.saveFullPcm ? concatPcm(this.fullPcmData) : null;
+        this.isProcessing = false;
+        this.isPaused = false;
+        this.isSpeaking = false;
+        this._resetRecording();
 
         this.onStateChange("stopped", "已停止");
 
-        if (this.saveFullPcm && callback && typeof callback === "function") {
-            const totalLength = this.fullPcmData.reduce((sum, chunk) => sum + chunk.length, 0);
-            const combined = new Int16Array(totalLength);
-            let offset = 0;
-            for (const chunk of this.fullPcmData) {
-                combined.set(chunk, offset);
-                offset += chunk.length;
+        if (fullPcm && callback && typeof callback === "function") {
+            callback(fullPcm);
+        }
+    }
+
+    /**
+     * 停止处理并释放所有资源（AudioContext、AudioWorklet、麦克风）。
+     * @param {(fullPcm: Int16Array | Float32Array | Uint8Array) => void} [callback] - 同 `stop`
+     */
+    destroy(callback) {
+        this.stop(callback);
+        this._cleanup();
+    }
+
+    _onWorkletMessage(message) {
+        if (message.type === "log") {
+            this.logger[message.level](message.message);
+            return;
+        }
+        if (message.type === "vad") {
+            const info = { time: message.time, rms: message.rms };
+            if (message.event === "speechStart") {
+                this.isSpeaking = true;
+                this.onSpeechStart(info);
+            } else {
+                this.isSpeaking = false;
+                this.onSpeechEnd(info);
+            }
+            return;
+        }
+        if (message.type === "level") {
+            if (this.onLevel) {
+                this.onLevel({ rms: message.rms, peak: message.peak, db: 20 * Math.log10(message.rms), time: message.time });
+            }
+            return;
+        }
+        // 暂停 / 停止后仍可能收到 worklet 中已在途的数据，直接丢弃
+        if (!this.isProcessing || this.isPaused) return;
+
+        let chunk = message.chunk;
+        const channels = this.processorOptions.channelMode === "stereo" ? 2 : 1;
+        const sampleRate = this.processorOptions.targetSampleRate || 16000;
+        let autoStopReason = null;
+
+        if (this.maxDurationMs) {
+            const remaining = Math.round((this.maxDurationMs / 1000) * sampleRate) - this.recordedFrames;
+            if (chunk.length / channels >= remaining) {
+                chunk = chunk.slice(0, Math.max(0, remaining) * channels);
+                autoStopReason = "maxDuration";
+            }
+        }
+        if (this.saveFullPcm && this.maxBufferBytes && this.fullPcmBytes + chunk.byteLength > this.maxBufferBytes) {
+            const remainingSamples = Math.floor((this.maxBufferBytes - this.fullPcmBytes) / chunk.BYTES_PER_ELEMENT / channels) * channels;
+            chunk = chunk.slice(0, Math.max(0, remainingSamples));
+            autoStopReason = "maxBuffer";
+        }
+
+        if (chunk.length) {
+            this.recordedFrames += chunk.length / channels;
+            this.onData(chunk, { speech: message.speech });
+            if (this.saveFullPcm) {
+                this.fullPcmData.push(chunk);
+                this.fullPcmBytes += chunk.byteLength;
             }
-            callback(combined);
+        }
+
+        if (autoStopReason) {
+            let fullPcm = null;
+            this.stop((pcm) => {
+                fullPcm = pcm;
+            });
+            this.logger.info(`AudioStreamResampler auto stopped: ${autoStopReason}`);
+            this.onAutoStop(autoStopReason, fullPcm);
+        }
+    }
+
+    _resetRecording() {
+        this.recordedFrames = 0;
+        this.fullPcmBytes = 0;
+        if (this.fullPcmData) {
+            this.fullPcmData.length = 0;
+        }
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: "reset" });
+        }
+    }
+
+    _releaseOwnedStream() {
+        if (this.ownedStream) {
+            this.ownedStream.getTracks().forEach((track) => track.stop());
+            this.ownedStream = null;
         }
     }
 
     _cleanup() {
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        this._releaseOwnedStream();
         if (this.workletNode) {
             this.workletNode.disconnect();
             this.workletNode.port.close();
@@ -230,7 +1265,9 @@ export class AudioStreamResampler {
         }
 
         this.isProcessing = false;
+        this.isPaused = false;
         this.isInitialized = false;
+        this.isSpeaking = false;
         if (this.fullPcmData) {
             this.fullPcmData.length = 0;
         }
@@ -238,38 +1275,228 @@ export class AudioStreamResampler {
 }
 
 /**
- * 将 16-bit 单声道 PCM 数据封装成标准 WAV Blob。
+ * 流式 PCM 播放器。
+ * 接收任意采样率的 Int16 / Float32 PCM 片段（如通过 WebSocketManager 收到的 TTS 音频），
+ * 重采样到 AudioContext 的采样率后送入 AudioWorklet 中的抖动缓冲区播放：
+ * 缓冲达到目标延迟才开始播放，数据断流时进入 `buffering` 状态并重新缓冲，
+ * `flush` 表示数据已发送完毕（播完后触发 ended），`interrupt` 立即打断（用于 barge-in）。
+ */
+export class AudioStreamPlayer {
+    /**
+     * @param {object} [config]
+     * @param {number} [config.sampleRate=16000] - `push` 未指定采样率时使用的输入采样率
+     * @param {number} [config.channels=1] - 声道数，多声道输入为交错排列
+     * @param {number} [config.targetLatencyMs=200] - 抖动缓冲的目标延迟：缓冲达到该时长才开始（或断流后重新开始）播放
+     * @param {number} [config.maxLatencyMs=0] - 缓冲超过该时长时丢弃最旧数据，回到目标延迟，0 表示不限制
+     * @param {number} [config.progressIntervalMs=100] - 播放进度回调的间隔（毫秒）
+     * @param {'sinc'|'linear'} [config.resampleQuality='sinc'] - 重采样质量，见 `PcmResampler`
+     * @param {AudioContext} [config.audioContext] - 使用外部 AudioContext（destroy 时不会关闭）
+     * @param {function(string, string)} [config.onStateChange] - 状态变化回调
+     * @param {function({playedMs: number, bufferedMs: number}): void} [config.onProgress] - 播放进度回调
+     * @param {function(): void} [config.onUnderrun] - 播放中数据耗尽（断流）回调
+     * @param {function(): void} [config.onEnded] - `flush` 后数据全部播放完毕的回调
+     * @param {import("./logger.js").Logger} [config.logger] - 日志记录器，默认 `createLogger("audio")`
+     */
+    constructor(config = {}) {
+        this.sampleRate = config.sampleRate || 16000;
+        this.channels = config.channels || 1;
+        this.targetLatencyMs = config.targetLatencyMs ?? 200;
+        this.maxLatencyMs = config.maxLatencyMs || 0;
+        this.progressIntervalMs = config.progressIntervalMs || 100;
+        this.resampleQuality = config.resampleQuality || "sinc";
+        this.onStateChange = config.onStateChange || (() => {});
+        this.onProgress = config.onProgress || (() => {});
+        this.onUnderrun = config.onUnderrun || (() => {});
+        this.onEnded = config.onEnded || (() => {});
+        this.logger = config.logger || createLogger("audio");
+
+        this.audioContext = config.audioContext || null;
+        this.ownsAudioContext = !config.audioContext;
+        this.workletNode = null;
+        this.workletUrl = null;
+        this.resamplers = null;
+        this.resamplerRate = 0;
+
+        this.isInitialized = false;
+        this.state = "idle";
+        this.playedMs = 0;
+        this.bufferedMs = 0;
+    }
+
+    /**
+     * 初始化 AudioContext 并加载 AudioWorklet，完成后状态变为 `"ready"`。
+     * 浏览器的自动播放策略要求在用户手势中调用。
+     */
+    async init() {
+        this._setState("initializing", "正在初始化音频环境...");
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            this.workletUrl = await addWorkletModule(this.audioContext, AudioStreamPlayerProcessorCode);
+
+            this.workletNode = new AudioWorkletNode(this.audioContext, "audio-stream-player-processor", {
+                numberOfInputs: 0,
+                outputChannelCount: [this.channels],
+                processorOptions: {
+                    channels: this.channels,
+                    targetLatencyMs: this.targetLatencyMs,
+                    maxLatencyMs: this.maxLatencyMs,
+                    progressIntervalMs: this.progressIntervalMs
+                }
+            });
+            this.workletNode.port.onmessage = (event) => this._onWorkletMessage(event.data);
+            this.workletNode.connect(this.audioContext.destination);
+
+            this.isInitialized = true;
+            this._setState("ready", "音频环境已就绪");
+        } catch (err) {
+            this.logger.error("AudioStreamPlayer init error:", err);
+            this._setState("error", `初始化失败: ${err.message}`);
+        }
+    }
+
+    /**
+     * 追加一段 PCM 数据。
+     * @param {Int16Array | Float32Array} chunk - PCM 数据，多声道时为交错排列
+     * @param {number} [sampleRate] - 该片段的采样率，默认为构造时的 `sampleRate`
+     */
+    push(chunk, sampleRate = this.sampleRate) {
+        if (!this.isInitialized) {
+            this.logger.error("请先调用 init()");
+            return;
+        }
+        if (this.audioContext.state === "suspended") {
+            this.audioContext.resume().catch((err) => this.logger.warn("AudioContext resume error:", err));
+        }
+
+        const samples = chunk instanceof Int16Array ? int16ToFloat32(chunk) : chunk;
+        if (sampleRate !== this.resamplerRate) {
+            this._flushResampler();
+            this.resamplerRate = sampleRate;
+            this.resamplers = sampleRate === this.audioContext.sampleRate ? null : Array.from({ length: this.channels }, () => new PcmResampler(sampleRate, this.audioContext.sampleRate, { quality: this.resampleQuality }));
+        }
+        if (!this.resamplers) {
+            // 转移前复制，避免调用方的数组被 detach
+            this._post(samples === chunk ? samples.slice() : samples);
+            return;
+        }
+        this._post(this._resample((resampler, data) => resampler.process(data), samples));
+    }
+
+    /**
+     * 标记数据已全部发送：剩余数据即使不足目标延迟也会播放，播完后触发 `onEnded`。
+     * 之后再 `push` 会开始新的一段播放。
+     */
+    flush() {
+        if (!this.isInitialized) return;
+        this._flushResampler();
+        this.workletNode.port.postMessage({ type: "flush" });
+    }
+
+    /**
+     * 立即停止播放并丢弃所有缓冲数据（如用户开始说话时打断 TTS）。
+     */
+    interrupt() {
+        if (!this.isInitialized) return;
+        if (this.resamplers) this.resamplers.forEach((resampler) => resampler.reset());
+        this.workletNode.port.postMessage({ type: "interrupt" });
+        this.bufferedMs = 0;
+        this._setState("ready", "已打断");
+    }
+
+    /**
+     * 停止播放并释放资源。
+     */
+    destroy() {
+        if (this.workletNode) {
+            this.workletNode.disconnect();
+            this.workletNode.port.close();
+            this.workletNode = null;
+        }
+        if (this.ownsAudioContext && this.audioContext && this.audioContext.state !== "closed") {
+            this.audioContext.close();
+        }
+        if (this.ownsAudioContext) this.audioContext = null;
+        if (this.workletUrl) {
+            URL.revokeObjectURL(this.workletUrl);
+            this.workletUrl = null;
+        }
+        this.resamplers = null;
+        this.resamplerRate = 0;
+        this.isInitialized = false;
+        this._setState("destroyed", "已释放");
+    }
+
+    _resample(run, samples) {
+        if (this.channels === 1) return run(this.resamplers[0], samples);
+        const channels = deinterleavePcm(samples, this.channels);
+        return interleavePcm(channels.map((data, i) => run(this.resamplers[i], data)));
+    }
+
+    _flushResampler() {
+        if (!this.resamplers) return;
+        this._post(this._resample((resampler) => resampler.flush(), new Float32Array(this.channels)));
+    }
+
+    _post(samples) {
+        if (samples.length === 0) return;
+        this.workletNode.port.postMessage({ type: "push", samples }, [samples.buffer]);
+    }
+
+    _onWorkletMessage(message) {
+        switch (message.type) {
+            case "playing":
+                this._setState("playing", "正在播放");
+                break;
+            case "underrun":
+                this.logger.debug("AudioStreamPlayer underrun");
+                this._setState("buffering", "缓冲中...");
+                this.onUnderrun();
+                break;
+            case "ended":
+                this._setState("ended", "播放完毕");
+                this.onEnded();
+                break;
+            case "drop":
+                this.logger.debug(`AudioStreamPlayer dropped ${message.frames} frames to catch up`);
+                break;
+            case "progress": {
+                const rate = this.audioContext.sampleRate;
+                this.playedMs = (message.playedFrames / rate) * 1000;
+                this.bufferedMs = (message.bufferedFrames / rate) * 1000;
+                this.onProgress({ playedMs: this.playedMs, bufferedMs: this.bufferedMs });
+                break;
+            }
+        }
+    }
+
+    _setState(state, message) {
+        if (this.state === state) return;
+        this.state = state;
+        this.onStateChange(state, message);
+    }
+}
+
+/**
+ * 将 PCM 数据封装成标准 WAV Blob。
+ * 采样格式默认根据数组类型推断（Int16Array → 16-bit PCM，Float32Array → 32-bit 浮点），
+ * μ-law / A-law 数据（Uint8Array）需显式指定 `format`。
+ * 数组类型与格式不符时（如 number[]）会先按 `format` 转换为对应的类型化数组，未指定时视为 16-bit 整数采样。
  *
- * @param {Int16Array} pcmData - PCM 采样数据
+ * @param {Int16Array | Float32Array | Uint8Array | ArrayLike<number>} pcmData - PCM 采样数据，多声道时为交错排列
  * @param {number} [sampleRate=16000] - 采样率，默认 16 kHz
+ * @param {object} [options]
+ * @param {number} [options.channels=1] - 声道数
+ * @param {'int16'|'float32'|'mulaw'|'alaw'} [options.format] - 采样格式
  * @returns {Blob} audio/wav Blob
+ *
+ * @example
+ * pcmToWavBlob(stereoInt16, 48000, { channels: 2 });
+ * pcmToWavBlob(mulawBytes, 8000, { format: "mulaw" });
  */
-export function pcmToWavBlob(pcmData, sampleRate = 16000) {
-    const length = pcmData.length;
-    const buffer = new ArrayBuffer(44 + length * 2);
-    const view = new DataView(buffer);
-    const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
-    };
-    writeString(0, "RIFF");
-    view.setUint32(4, 36 + length * 2, true);
-    writeString(8, "WAVE");
-    writeString(12, "fmt ");
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, 1, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 2, true);
-    view.setUint16(32, 2, true);
-    view.setUint16(34, 16, true);
-    writeString(36, "data");
-    view.setUint32(40, length * 2, true);
-    let offset = 44;
-    for (let i = 0; i < length; i++) {
-        view.setInt16(offset, pcmData[i], true);
-        offset += 2;
-    }
-    return new Blob([buffer], { type: "audio/wav" });
+export function pcmToWavBlob(pcmData, sampleRate = 16000, { channels = 1, format } = {}) {
+    const ArrayType = format === "float32" || (!format && pcmData instanceof Float32Array) ? Float32Array : format === "mulaw" || format === "alaw" ? Uint8Array : Int16Array;
+    if (!(pcmData instanceof ArrayType)) pcmData = ArrayType.from(pcmData);
+    return encodeWavChunks([pcmData], { sampleRate, channels, format });
 }
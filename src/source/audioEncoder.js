@@ -0,0 +1,406 @@
+import { createLogger } from "./logger.js";
+import { PcmResampler } from "./audio.js";
+import { deinterleavePcm, int16ToFloat32, interleavePcm } from "./wav.js";
+
+/**
+ * 可插拔的压缩编码器接口。
+ * 编码器负责把交错的浮点 PCM 编码并封装为完整的容器格式（如 Ogg/Opus、MP3），
+ * 通过 `sink.output` 逐段输出字节，按输出顺序拼接即为完整文件。
+ *
+ * @typedef {Object} AudioEncoderPlugin
+ * @property {string} mimeType 输出容器的 MIME 类型
+ * @property {(options: {sampleRate: number, channels: number, bitrate: number}, sink: {output: (bytes: Uint8Array) => void, error: (err: Error) => void}) => (void | Promise<void>)} init 初始化编码器
+ * @property {(samples: Float32Array) => void} encode 编码一段交错的浮点采样（-1 ~ 1）
+ * @property {() => (void | Promise<void>)} flush 输出剩余数据及容器结尾，完成后不再调用 `encode`
+ * @property {() => void} [close] 释放资源
+ */
+
+/**
+ * Ogg 页 CRC 表（多项式 0x04C11DB7，不反转，初值 0）。
+ */
+const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let r = i << 24;
+        for (let j = 0; j < 8; j++) {
+            r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+        }
+        table[i] = r >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * libopus 默认的编码延迟（48 kHz 采样数）。编码器没有提供 OpusHead 时才用作 pre-skip。
+ */
+const OPUS_PRE_SKIP = 312;
+
+/**
+ * 从编码器输出的 `decoderConfig.description`（OpusHead 字节）中读取 pre-skip。
+ * @param {BufferSource | undefined} description
+ * @returns {number | undefined} 不是有效的 OpusHead 时返回 undefined
+ */
+function readOpusPreSkip(description) {
+    if (!description) return undefined;
+    const bytes = ArrayBuffer.isView(description) ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength) : new Uint8Array(description);
+    if (bytes.length < 19 || String.fromCharCode(...bytes.subarray(0, 8)) !== "OpusHead") return undefined;
+    return bytes[10] | (bytes[11] << 8);
+}
+
+/**
+ * 把 Opus 数据包封装为 Ogg 页（RFC 7845），每累计约 `pageDurationMs` 输出一页。
+ */
+class OggOpusMuxer {
+    /**
+     * @param {object} options
+     * @param {number} options.channels - 声道数
+     * @param {number} options.inputSampleRate - 原始输入采样率（仅写入 OpusHead 供参考）
+     * @param {number} options.pageDurationMs - 每页包含的音频时长
+     * @param {(bytes: Uint8Array) => void} options.output - 输出回调
+     */
+    constructor({ channels, inputSampleRate, pageDurationMs, output }) {
+        this.channels = channels;
+        this.inputSampleRate = inputSampleRate;
+        this.pageSamples = Math.round((pageDurationMs / 1000) * 48000);
+        this.output = output;
+
+        this.serial = (Math.random() * 0x100000000) >>> 0;
+        this.sequence = 0;
+        this.granule = 0; // 已完成数据包解码后的 48 kHz 采样总数
+        this.packets = [];
+        this.pendingSamples = 0;
+        this.pendingSegments = 0;
+        this.preSkip = OPUS_PRE_SKIP;
+        this.headersWritten = false;
+    }
+
+    /**
+     * 使用编码器报告的 pre-skip，必须在第一个数据包之前调用才会写入 OpusHead。
+     * @param {number} preSkip - 48 kHz 采样数
+     */
+    setPreSkip(preSkip) {
+        if (!this.headersWritten) this.preSkip = preSkip;
+    }
+
+    writeHeaders() {
+        if (this.headersWritten) return;
+        this.headersWritten = true;
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set([0x4f, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64]); // "OpusHead"
+        head[8] = 1; // version
+        head[9] = this.channels;
+        view.setUint16(10, this.preSkip, true);
+        view.setUint32(12, this.inputSampleRate, true);
+        view.setInt16(16, 0, true); // output gain
+        head[18] = 0; // channel mapping family（单声道 / 立体声）
+        this.output(this._buildPage([head], 0x02, 0));
+
+        const vendor = new TextEncoder().encode("a2bei4-utils");
+        const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+        const tagsView = new DataView(tags.buffer);
+        tags.set([0x4f, 0x70, 0x75, 0x73, 0x54, 0x61, 0x67, 0x73]); // "OpusTags"
+        tagsView.setUint32(8, vendor.length, true);
+        tags.set(vendor, 12);
+        tagsView.setUint32(12 + vendor.length, 0, true); // user comment count
+        this.output(this._buildPage([tags], 0, 0));
+    }
+
+    /**
+     * @param {Uint8Array} packet - Opus 数据包
+     * @param {number} samples - 数据包时长（48 kHz 采样数）
+     */
+    addPacket(packet, samples) {
+        this.writeHeaders();
+        const segments = Math.floor(packet.length / 255) + 1;
+        if (this.pendingSegments + segments > 255) this._flushPage(0, this.granule);
+        this.packets.push(packet);
+        this.pendingSegments += segments;
+        this.granule += samples;
+        this.pendingSamples += samples;
+        if (this.pendingSamples >= this.pageSamples) this._flushPage(0, this.granule);
+    }
+
+    /**
+     * 输出最后一页（EOS）。
+     * @param {number} inputSamples - 实际输入的采样数（48 kHz），用于裁掉编码器补齐的尾部静音
+     */
+    finish(inputSamples) {
+        this.writeHeaders();
+        this._flushPage(0x04, Math.min(this.granule, this.preSkip + inputSamples));
+    }
+
+    _flushPage(flags, granule) {
+        if (this.packets.length === 0 && !(flags & 0x04)) return;
+        this.output(this._buildPage(this.packets, flags, granule));
+        this.packets = [];
+        this.pendingSamples = 0;
+        this.pendingSegments = 0;
+    }
+
+    _buildPage(packets, flags, granule) {
+        const lacing = [];
+        let dataLength = 0;
+        for (const packet of packets) {
+            let remaining = packet.length;
+            while (remaining >= 255) {
+                lacing.push(255);
+                remaining -= 255;
+            }
+            lacing.push(remaining);
+            dataLength += packet.length;
+        }
+
+        const page = new Uint8Array(27 + lacing.length + dataLength);
+        const view = new DataView(page.buffer);
+        page.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+        page[4] = 0; // version
+        page[5] = flags;
+        view.setUint32(6, granule % 0x100000000, true);
+        view.setUint32(10, Math.floor(granule / 0x100000000), true);
+        view.setUint32(14, this.serial, true);
+        view.setUint32(18, this.sequence++, true);
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+        let offset = 27 + lacing.length;
+        for (const packet of packets) {
+            page.set(packet, offset);
+            offset += packet.length;
+        }
+
+        let crc = 0;
+        for (let i = 0; i < page.length; i++) {
+            crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0;
+        }
+        view.setUint32(22, crc, true);
+        return page;
+    }
+}
+
+/**
+ * 基于 WebCodecs `AudioEncoder` 的 Ogg/Opus 编码器。
+ * 输入采样率不被浏览器的 Opus 编码器支持时，会先重采样到 48 kHz。
+ *
+ * @param {object} [options]
+ * @param {number} [options.frameDurationMs=20] - Opus 帧长（毫秒）
+ * @param {number} [options.pageDurationMs=1000] - 每个 Ogg 页包含的音频时长，越小输出越及时、容器开销越大
+ * @param {number} [options.complexity] - Opus 编码复杂度（0 ~ 10）
+ * @returns {AudioEncoderPlugin}
+ */
+export function createOpusOggEncoder({ frameDurationMs = 20, pageDurationMs = 1000, complexity } = {}) {
+    let encoder = null;
+    let muxer = null;
+    let resamplers = null;
+    let channels = 1;
+    let sampleRate = 0;
+    let encodeRate = 0;
+    let timestamp = 0;
+    let inputFrames = 0;
+
+    const encodeSamples = (samples) => {
+        if (samples.length === 0) return;
+        const frames = samples.length / channels;
+        const data = new AudioData({
+            format: "f32",
+            sampleRate: encodeRate,
+            numberOfFrames: frames,
+            numberOfChannels: channels,
+            timestamp: Math.round(timestamp),
+            data: samples
+        });
+        timestamp += (frames / encodeRate) * 1e6;
+        encoder.encode(data);
+        data.close();
+    };
+    const resample = (run, samples) => {
+        if (channels === 1) return run(resamplers[0], samples);
+        return interleavePcm(deinterleavePcm(samples, channels).map((data, c) => run(resamplers[c], data)));
+    };
+
+    return {
+        mimeType: "audio/ogg; codecs=opus",
+
+        async init(options, sink) {
+            if (typeof AudioEncoder === "undefined") {
+                throw new Error("WebCodecs AudioEncoder is not available");
+            }
+            channels = options.channels;
+            sampleRate = options.sampleRate;
+            resamplers = null;
+            timestamp = 0;
+            inputFrames = 0;
+            const createConfig = (rate) => ({
+                codec: "opus",
+                sampleRate: rate,
+                numberOfChannels: channels,
+                bitrate: options.bitrate,
+                opus: { frameDuration: frameDurationMs * 1000, ...(complexity !== undefined && { complexity }) }
+            });
+
+            encodeRate = sampleRate;
+            if (!(await AudioEncoder.isConfigSupported(createConfig(encodeRate))).supported) {
+                encodeRate = 48000;
+                if (!(await AudioEncoder.isConfigSupported(createConfig(encodeRate))).supported) {
+                    throw new Error("Opus encoding is not supported by this browser");
+                }
+                resamplers = Array.from({ length: channels }, () => new PcmResampler(sampleRate, encodeRate));
+            }
+
+            muxer = new OggOpusMuxer({ channels, inputSampleRate: sampleRate, pageDurationMs, output: sink.output });
+            encoder = new AudioEncoder({
+                output: (chunk, metadata) => {
+                    // 第一个数据包携带 OpusHead，按编码器实际的 pre-skip 写头，避免播放器裁掉错误的采样数
+                    const preSkip = readOpusPreSkip(metadata && metadata.decoderConfig && metadata.decoderConfig.description);
+                    if (preSkip !== undefined) muxer.setPreSkip(preSkip);
+                    const packet = new Uint8Array(chunk.byteLength);
+                    chunk.copyTo(packet);
+                    muxer.addPacket(packet, Math.round(((chunk.duration || frameDurationMs * 1000) * 48000) / 1e6));
+                },
+                error: (err) => sink.error(err)
+            });
+            encoder.configure(createConfig(encodeRate));
+        },
+
+        encode(samples) {
+            inputFrames += samples.length / channels;
+            encodeSamples(resamplers ? resample((resampler, data) => resampler.process(data), samples) : samples);
+        },
+
+        async flush() {
+            if (resamplers) encodeSamples(resample((resampler) => resampler.flush(), new Float32Array(channels)));
+            await encoder.flush();
+            muxer.finish(Math.round((inputFrames * 48000) / sampleRate));
+        },
+
+        close() {
+            if (encoder && encoder.state !== "closed") encoder.close();
+            encoder = null;
+        }
+    };
+}
+
+/**
+ * 流式压缩编码器。
+ * 接收 `AudioStreamResampler` 输出的 PCM（Int16 / Float32），边录边编码，
+ * 编码后的容器字节通过 `onData` 逐段输出，可以在录音结束前就开始上传。
+ * 默认使用 WebCodecs 的 Ogg/Opus 编码器，也可以通过 `encoder` 传入自定义实现（如基于 wasm 的 MP3 编码器）。
+ *
+ * @example
+ * const encoder = new AudioStreamEncoder({ sampleRate: 16000, onData: (bytes) => ws.send(bytes) });
+ * await encoder.init();
+ * const recorder = new AudioStreamResampler({ onData: (chunk) => encoder.encode(chunk) });
+ * // ...
+ * recorder.stop();
+ * const blob = await encoder.finish();
+ */
+export class AudioStreamEncoder {
+    /**
+     * @param {object} [config]
+     * @param {number} [config.sampleRate=16000] - 输入 PCM 的采样率
+     * @param {number} [config.channels=1] - 输入 PCM 的声道数，多声道为交错排列
+     * @param {number} [config.bitrate=24000] - 目标码率（bps）
+     * @param {AudioEncoderPlugin} [config.encoder] - 编码器实现，默认 `createOpusOggEncoder()`
+     * @param {function(Uint8Array): void} [config.onData] - 输出一段编码后的字节，按顺序拼接即为完整文件
+     * @param {function(Error): void} [config.onError] - 编码出错回调
+     * @param {boolean} [config.collect=true] - 是否在内部保留全部输出，以便 `finish` 时返回完整 Blob
+     * @param {import("./logger.js").Logger} [config.logger] - 日志记录器，默认 `createLogger("audio")`
+     */
+    constructor(config = {}) {
+        this.sampleRate = config.sampleRate || 16000;
+        this.channels = config.channels || 1;
+        this.bitrate = config.bitrate || 24000;
+        this.encoder = config.encoder || createOpusOggEncoder();
+        this.onData = config.onData || (() => {});
+        this.onError = config.onError || (() => {});
+        this.collect = config.collect ?? true;
+        this.logger = config.logger || createLogger("audio");
+
+        this.parts = [];
+        this.byteLength = 0;
+        this.error = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * 输出容器的 MIME 类型。
+     * @returns {string}
+     */
+    get mimeType() {
+        return this.encoder.mimeType;
+    }
+
+    /**
+     * 初始化编码器，失败时抛出错误（如浏览器不支持 WebCodecs）。
+     */
+    async init() {
+        this.parts = [];
+        this.byteLength = 0;
+        this.error = null;
+        await this.encoder.init(
+            { sampleRate: this.sampleRate, channels: this.channels, bitrate: this.bitrate },
+            {
+                output: (bytes) => this._output(bytes),
+                error: (err) => this._fail(err)
+            }
+        );
+        this.isInitialized = true;
+    }
+
+    /**
+     * 编码一段 PCM。
+     * @param {Int16Array | Float32Array} chunk - PCM 数据，多声道时为交错排列
+     */
+    encode(chunk) {
+        if (!this.isInitialized) {
+            this.logger.error("请先调用 init()");
+            return;
+        }
+        if (this.error) return;
+        try {
+            this.encoder.encode(chunk instanceof Int16Array ? int16ToFloat32(chunk) : chunk);
+        } catch (err) {
+            this._fail(err);
+        }
+    }
+
+    /**
+     * 编码剩余数据并结束，之后需重新 `init` 才能开始下一段。
+     * @returns {Promise<Blob | null>} 开启 `collect` 时返回完整文件，否则返回 null
+     */
+    async finish() {
+        if (!this.isInitialized) return null;
+        this.isInitialized = false;
+        try {
+            await this.encoder.flush();
+        } finally {
+            if (this.encoder.close) this.encoder.close();
+        }
+        if (this.error) throw this.error;
+
+        const blob = this.collect ? new Blob(this.parts, { type: this.mimeType }) : null;
+        this.parts = [];
+        return blob;
+    }
+
+    /**
+     * 放弃当前编码并释放资源。
+     */
+    abort() {
+        this.isInitialized = false;
+        this.parts = [];
+        if (this.encoder.close) this.encoder.close();
+    }
+
+    _output(bytes) {
+        this.byteLength += bytes.length;
+        if (this.collect) this.parts.push(bytes);
+        this.onData(bytes);
+    }
+
+    _fail(err) {
+        if (this.error) return;
+        this.error = err;
+        this.logger.error("AudioStreamEncoder error:", err);
+        this.onError(err);
+    }
+}
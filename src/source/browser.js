@@ -1,3 +1,7 @@
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("browser");
+
 /**
  * 视口尺寸对象。
  * @typedef {Object} ViewportDimensions
@@ -64,7 +68,7 @@ export const fullscreenHelper = {
      */
     requestFullscreen: (element) => {
         if (!element) {
-            console.warn("未提供有效的 DOM 元素");
+            logger.warn("未提供有效的 DOM 元素");
             return;
         }
         if (element.requestFullscreen) {
@@ -76,7 +80,7 @@ export const fullscreenHelper = {
         } else if (element.msRequestFullscreen) {
             return element.msRequestFullscreen();
         } else {
-            console.warn("当前浏览器不支持全屏 API");
+            logger.warn("当前浏览器不支持全屏 API");
         }
     },
 
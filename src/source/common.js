@@ -1,3 +1,7 @@
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("common");
+
 //#region 数据类型判断
 
 /**
@@ -357,7 +361,7 @@ export function readBlobAsText(blob, isParse = true) {
                 try {
                     resolve(JSON.parse(result));
                 } catch (error) {
-                    console.error(error);
+                    logger.debug("readBlobAsText: JSON 解析失败，返回原始文本", error);
                     resolve(result);
                 }
             } else {
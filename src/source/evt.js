@@ -1,60 +1,215 @@
+import { createLogger } from "./logger.js";
+
+/**
+ * 判断事件名是否为通配模式（含 `*` 段）。
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isEventPattern(name) {
+    return typeof name === "string" && name.includes("*");
+}
+
+/**
+ * 判断事件名是否匹配通配模式，事件名按 `.` 分段：
+ * - 单独的 `*`：匹配任意事件
+ * - `*`：匹配恰好一段，如 `user.*` 匹配 `user.login`，不匹配 `user.profile.update`
+ * - `**`：匹配一段或多段，如 `user.**` 匹配 `user.login`、`user.profile.update`
+ *
+ * @param {string} pattern - 通配模式
+ * @param {string} name - 具体事件名
+ * @returns {boolean}
+ */
+function matchEventPattern(pattern, name) {
+    if (pattern === "*") return true;
+    if (typeof name !== "string") return false;
+    const p = pattern.split(".");
+    const n = name.split(".");
+    const match = (pi, ni) => {
+        if (pi === p.length) return ni === n.length;
+        if (p[pi] === "**") {
+            for (let k = ni + 1; k <= n.length; k++) {
+                if (match(pi + 1, k)) return true;
+            }
+            return false;
+        }
+        if (ni === n.length) return false;
+        return (p[pi] === "*" || p[pi] === n[ni]) && match(pi + 1, ni + 1);
+    };
+    return match(0, 0);
+}
+
+/**
+ * 解除监听器条目上附带的资源（如 AbortSignal 的 abort 监听）。
+ * @param {Array<{ dispose?: () => void }>} items
+ */
+function disposeItems(items) {
+    items.forEach((item) => item.dispose && item.dispose());
+}
+
+/**
+ * 通配模式字符串类型，如 `user.*`、`user.**`、`*`。
+ * @typedef {`${string}*${string}`} MyEventPattern
+ */
+
+/**
+ * on/once 的选项。
+ * @typedef {Object} MyEventListenerOptions
+ * @property {number} [priority=0] 优先级，数值越大越先执行；相同优先级按注册顺序执行
+ * @property {boolean} [replay] 为 true 时立即回放缓冲区中的全部历史事件；为 false 时连粘性事件也不补发；默认只补发粘性事件的最后一次载荷
+ * @property {AbortSignal} [signal] signal 中止时自动移除该监听器
+ */
+
 /**
  * 简单、高性能的通用事件总线。
- * - 支持命名空间事件
- * - 支持一次性监听器
- * - 返回唯一 flag，用于精确卸载
+ * - 支持命名空间事件与通配订阅（`user.*`、`user.**`、`*`），通配监听器的第二个参数为具体事件名
+ * - 支持一次性监听器与监听器优先级
+ * - 支持拦截器链：在监听器执行前转换或取消事件
+ * - 支持异步触发 emitAsync：串行或并行等待监听器并收集结果
+ * - 支持粘性事件与回放缓冲：晚订阅的监听器也能收到已触发过的事件
+ * - 支持 Promise 风格的 waitFor 与 for await 异步迭代
+ * - 返回唯一 flag，用于精确卸载；支持 AbortSignal 自动卸载
+ * - 监听器数量超过 maxListeners 时告警，便于发现泄漏
+ * - 可通过泛型事件表约束事件名与载荷类型
  * - emit 时可选自定义 this 指向
  */
+/**
+ * @template {Record<string, any>} [EventMap=Record<string, any>] 事件名到载荷类型的映射
+ *
+ * @example
+ * /** @type {MyEvent<{ login: { userId: string }, logout: void }>} *\/
+ * const bus = new MyEvent();
+ * bus.on("login", (data) => data.userId); // data 被推断为 { userId: string }
+ */
 export class MyEvent {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {import("./logger.js").Logger} [options.logger] - 日志记录器，默认 `createLogger("evt")`
+     * @param {number} [options.maxListeners=10] - 单个事件名的监听器数量超过该值时告警，0 或 Infinity 表示不限制
+     */
+    constructor(options = {}) {
         this.evtPool = new Map();
+        this.interceptors = [];
+        this.listenerSeq = 0;
+        this.replayRules = new Map(); // 事件名或通配模式 -> { sticky, size }
+        this.replayBuffers = new Map(); // 具体事件名 -> [{ data, time, seq }]
+        this.replaySeq = 0; // 回放记录的全局序号，跨事件名排序用，与监听器序号互不影响
+        this.logger = options.logger || createLogger("evt");
+        this.maxListeners = options.maxListeners ?? 10;
+        this.warnedEvents = new Set(); // 已告警过的事件名，每个事件名只告警一次
     }
 
     /**
      * 注册事件监听器。
-     * @param {string} name - 事件名
-     * @param {Function} fn - 回调函数
+     * @template {keyof EventMap & string} K
+     * @overload
+     * @param {K} name - 事件名
+     * @param {(data: EventMap[K], eventName: K) => void} fn - 回调函数，第二个参数为实际触发的事件名
+     * @param {MyEventListenerOptions} [options]
+     * @returns {string} flag - 唯一标识，用于 off
+     */
+    /**
+     * 注册通配监听器。
+     * @overload
+     * @param {MyEventPattern} name - 通配模式（`user.*`、`user.**`、`*`）
+     * @param {(data: EventMap[keyof EventMap], eventName: keyof EventMap & string) => void} fn - 回调函数，第二个参数为实际触发的事件名
+     * @param {MyEventListenerOptions} [options]
      * @returns {string} flag - 唯一标识，用于 off
      */
-    on(name, fn) {
-        let flag = Date.now() + "_" + parseInt(Math.random() * 1e8);
+    /**
+     * 注册事件监听器。
+     * @param {string} name - 事件名，或通配模式（`user.*`、`user.**`、`*`）
+     * @param {(data: any, eventName: string) => void} fn - 回调函数，第二个参数为实际触发的事件名
+     * @param {MyEventListenerOptions} [options]
+     * @returns {string} flag - 唯一标识，用于 off；同一实例内不会重复
+     */
+    on(name, fn, { priority = 0, replay, signal } = {}) {
+        const order = ++this.listenerSeq;
+        const flag = `evt_${order}`;
+        if (signal && signal.aborted) return flag;
+
         const evtItem = {
             flag,
-            fn
+            fn,
+            priority,
+            order
         };
         if (this.evtPool.has(name)) {
             this.evtPool.get(name).push(evtItem);
         } else {
             this.evtPool.set(name, [evtItem]);
         }
+        this._checkMaxListeners(name);
+        if (signal) {
+            const onAbort = () => this.off(name, flag);
+            signal.addEventListener("abort", onAbort, { once: true });
+            // 监听器被 off/once/removeAllListeners 移除时一并解绑，避免长期存在的 signal 持有闭包
+            evtItem.dispose = () => signal.removeEventListener("abort", onAbort);
+        }
+        if (replay !== false) {
+            this._replayTo(name, evtItem, replay === true);
+        }
         return flag;
     }
 
     /**
      * 注册一次性监听器，触发后自动移除。
-     * @param {string} name - 事件名
-     * @param {Function} fn - 回调函数
+     * @template {keyof EventMap & string} K
+     * @overload
+     * @param {K} name - 事件名
+     * @param {(data: EventMap[K], eventName: K) => void} fn - 回调函数
+     * @param {MyEventListenerOptions} [options]
      * @returns {string} flag - 唯一标识
      */
-    once(name, fn) {
+    /**
+     * 注册一次性通配监听器。
+     * @overload
+     * @param {MyEventPattern} name - 通配模式
+     * @param {(data: EventMap[keyof EventMap], eventName: keyof EventMap & string) => void} fn - 回调函数
+     * @param {MyEventListenerOptions} [options]
+     * @returns {string} flag - 唯一标识
+     */
+    /**
+     * 注册一次性监听器，触发后自动移除。
+     * @param {string} name - 事件名，或通配模式
+     * @param {(data: any, eventName: string) => void} fn - 回调函数
+     * @param {MyEventListenerOptions} [options] - 同 on
+     * @returns {string} flag - 唯一标识
+     */
+    once(name, fn, options) {
         const _this = this;
         let wrapper;
-        wrapper = function (data) {
+        wrapper = function (data, eventName) {
             _this.off(name, wrapper);
-            fn.call(this, data);
+            fn.call(this, data, eventName);
         };
-        return this.on(name, wrapper);
+        return this.on(name, wrapper, options);
     }
 
     /**
-     * 移除指定事件监听器。
-     * @param {string} name - 事件名
-     * @param {Function|string} fnOrFlag - 回调函数或 flag
+     * 移除事件监听器。
+     * - 传入 fnOrFlag：只移除以 `name`（事件名或通配模式原文）注册的对应监听器
+     * - 不传 fnOrFlag：移除 `name` 下的全部监听器；若 `name` 为通配模式，则按命名空间批量移除所有匹配的事件及该模式本身的监听器
+     *
+     * @param {string} name - 事件名或通配模式
+     * @param {Function|string} [fnOrFlag] - 回调函数或 flag
+     *
+     * @example
+     * bus.off("user.*"); // 移除 user.login、user.logout 以及 "user.*" 上的全部监听器
      */
     off(name, fnOrFlag) {
+        if (fnOrFlag === undefined) {
+            [...this.evtPool.keys()].forEach((key) => {
+                if (key === name || (isEventPattern(name) && !isEventPattern(key) && matchEventPattern(name, key))) {
+                    disposeItems(this.evtPool.get(key));
+                    this.evtPool.delete(key);
+                }
+            });
+            return;
+        }
         if (!this.evtPool.has(name)) return;
         const evtItems = this.evtPool.get(name);
         const filtered = evtItems.filter((item) => item.fn !== fnOrFlag && item.flag !== fnOrFlag);
+        disposeItems(evtItems.filter((item) => !filtered.includes(item)));
         if (filtered.length === 0) {
             this.evtPool.delete(name);
         } else {
@@ -63,77 +218,701 @@ export class MyEvent {
     }
 
     /**
-     * 触发事件（同步执行）。
-     * @param {string} name - 事件名
-     * @param {*} [data] - 任意载荷
+     * 等待事件触发，返回其载荷。事件为粘性事件且已触发过时立即 resolve。
+     *
+     * @template {keyof EventMap & string} K
+     * @param {K | MyEventPattern} name - 事件名或通配模式
+     * @param {object} [options]
+     * @param {number} [options.timeout=0] - 超时时间（毫秒），超时后 reject，≤0 表示不超时
+     * @param {(data: EventMap[K], eventName: string) => boolean} [options.filter] - 过滤函数，返回 true 的事件才会 resolve
+     * @param {AbortSignal} [options.signal] - 中止时以 `signal.reason` reject
+     * @returns {Promise<EventMap[K]>}
+     *
+     * @example
+     * await bus.waitFor("ready", { timeout: 5000 });
+     * const order = await bus.waitFor("order.update", { filter: (o) => o.id === id && o.status === "paid" });
+     */
+    waitFor(name, { timeout = 0, filter, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.off(name, listener);
+                if (signal) signal.removeEventListener("abort", onAbort);
+            };
+            const listener = (data, eventName) => {
+                try {
+                    if (filter && !filter(data, eventName)) return;
+                } catch (err) {
+                    cleanup();
+                    reject(err);
+                    return;
+                }
+                cleanup();
+                resolve(data);
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(signal.reason ?? new Error("The operation was aborted"));
+            };
+
+            if (signal && signal.aborted) {
+                onAbort();
+                return;
+            }
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    cleanup();
+                    reject(new Error(`waitFor("${name}") timed out after ${timeout}ms`));
+                }, timeout);
+            }
+            this.on(name, listener);
+        });
+    }
+
+    /**
+     * 以异步迭代器的方式消费事件，配合 `for await` 使用；跳出循环（break/return）时自动卸载监听器。
+     * 事件产生得比消费快时先进入缓冲区，缓冲区满后按 overflow 策略处理，不会无限增长。
+     *
+     * @template {keyof EventMap & string} K
+     * @param {K | MyEventPattern} name - 事件名或通配模式
+     * @param {object} [options]
+     * @param {number} [options.bufferSize=1024] - 缓冲区最大条数
+     * @param {'drop-oldest'|'drop-newest'|'error'} [options.overflow='drop-oldest'] - 缓冲区满时丢弃最旧 / 丢弃最新 / 以 RangeError 结束迭代
+     * @param {AbortSignal} [options.signal] - 中止时以 `signal.reason` 结束迭代
+     * @returns {AsyncIterableIterator<{ name: string, data: EventMap[K] }>}
+     *
+     * @example
+     * for await (const { data } of bus.iterate("progress", { signal })) {
+     *     render(data);
+     *     if (data.done) break;
+     * }
+     */
+    iterate(name, { bufferSize = 1024, overflow = "drop-oldest", signal } = {}) {
+        const buffer = [];
+        const waiters = [];
+        let finished = false;
+        let failure = null;
+
+        const finish = (error) => {
+            if (finished) return;
+            finished = true;
+            this.off(name, listener);
+            if (signal) signal.removeEventListener("abort", onAbort);
+            if (error && waiters.length === 0) {
+                failure = error; // 留给下一次 next
+            }
+            while (waiters.length) {
+                const waiter = waiters.shift();
+                error ? waiter.reject(error) : waiter.resolve({ value: undefined, done: true });
+            }
+        };
+        const listener = (data, eventName) => {
+            const item = { name: eventName, data };
+            if (waiters.length) {
+                waiters.shift().resolve({ value: item, done: false });
+                return;
+            }
+            if (buffer.length >= bufferSize) {
+                if (overflow === "drop-newest") return;
+                if (overflow === "error") {
+                    finish(new RangeError(`iterate("${name}") buffer overflow (bufferSize = ${bufferSize})`));
+                    return;
+                }
+                buffer.shift();
+            }
+            buffer.push(item);
+        };
+        const onAbort = () => finish(signal.reason ?? new Error("The operation was aborted"));
+
+        if (signal && signal.aborted) {
+            onAbort();
+        } else {
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+            this.on(name, listener);
+        }
+
+        return {
+            next() {
+                if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false });
+                if (failure) {
+                    const error = failure;
+                    failure = null;
+                    return Promise.reject(error);
+                }
+                if (finished) return Promise.resolve({ value: undefined, done: true });
+                return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+            },
+            return() {
+                finish();
+                buffer.length = 0;
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    /**
+     * 返回已注册监听器的事件名与通配模式。
+     * @returns {string[]}
+     */
+    eventNames() {
+        return [...this.evtPool.keys()];
+    }
+
+    /**
+     * 统计监听器数量。
+     * @param {string} [name] - 具体事件名：返回触发该事件时会执行的监听器数量（含通配监听器）；
+     * 通配模式：只返回以该模式注册的监听器数量，不与其他模式互相匹配（如 `"*"` 不计入 `"user.*"`）；不传则返回全部监听器数量
+     * @returns {number}
+     */
+    listenerCount(name) {
+        if (name === undefined) {
+            let count = 0;
+            this.evtPool.forEach((items) => (count += items.length));
+            return count;
+        }
+        if (isEventPattern(name)) {
+            return this.evtPool.has(name) ? this.evtPool.get(name).length : 0;
+        }
+        return this._getMatchedItems(name).length;
+    }
+
+    /**
+     * 移除全部监听器。
+     * @param {string} [name] - 事件名或通配模式（规则同 `off(name)`）；不传则移除所有事件的监听器
+     */
+    removeAllListeners(name) {
+        if (name === undefined) {
+            this.evtPool.forEach(disposeItems);
+            this.evtPool.clear();
+            this.warnedEvents.clear();
+        } else {
+            this.off(name);
+        }
+    }
+
+    /**
+     * 修改单个事件名的监听器数量告警阈值。
+     * @param {number} n - 阈值，0 或 Infinity 表示不限制
+     */
+    setMaxListeners(n) {
+        this.maxListeners = n;
+    }
+
+    /**
+     * 设置粘性事件：之后新注册的监听器会立即收到该事件最后一次的载荷（如 `login`）。
+     * @param {string} name - 事件名或通配模式（对所有匹配的事件生效）
+     * @param {boolean} [enabled=true] - 是否启用
+     */
+    setSticky(name, enabled = true) {
+        this._setReplayRule(name, { sticky: !!enabled });
+    }
+
+    /**
+     * 设置回放缓冲区大小：按具体事件名保留最近 size 次载荷，供 `on(name, fn, { replay: true })` 回放。
+     * @param {string} name - 事件名或通配模式（对所有匹配的事件分别缓冲）
+     * @param {number} size - 缓冲条数，0 表示关闭
+     */
+    setReplayBuffer(name, size) {
+        this._setReplayRule(name, { size: Math.max(0, Math.floor(size) || 0) });
+    }
+
+    /**
+     * 查看回放缓冲区（含粘性事件的最后一次载荷），按触发时间排序。
+     * @param {string} [name] - 事件名或通配模式；不传则返回全部
+     * @returns {Array<{ name: string, data: any, time: number }>}
+     */
+    getReplayBuffer(name) {
+        const entries = [];
+        this.replayBuffers.forEach((buffer, key) => {
+            if (name === undefined || key === name || (isEventPattern(name) && matchEventPattern(name, key))) {
+                buffer.forEach((entry) => entries.push({ name: key, ...entry }));
+            }
+        });
+        return entries.sort((a, b) => a.seq - b.seq).map(({ name, data, time }) => ({ name, data, time }));
+    }
+
+    /**
+     * 清空回放缓冲区（含粘性事件的载荷），已设置的粘性/缓冲规则保留。
+     * @param {string} [name] - 事件名或通配模式；不传则全部清空
+     */
+    clearReplayBuffer(name) {
+        [...this.replayBuffers.keys()].forEach((key) => {
+            if (name === undefined || key === name || (isEventPattern(name) && matchEventPattern(name, key))) {
+                this.replayBuffers.delete(key);
+            }
+        });
+    }
+
+    /**
+     * 注册拦截器，按注册顺序在监听器执行前运行。
+     * 拦截器可直接修改 `ctx.data` 转换载荷，返回 `false` 取消本次事件；抛出异常同样视为取消。
+     * 同步 emit 不会等待拦截器返回的 Promise，异步拦截器请配合 emitAsync 使用。
+     *
+     * @param {(ctx: { name: string, data: any, fnThis: any }) => void | false | Promise<void | false>} interceptor - 拦截器
+     * @returns {() => void} 移除该拦截器的函数
+     *
+     * @example
+     * bus.use((ctx) => {
+     *     if (ctx.name.startsWith("order.") && !ctx.data.id) return false; // 校验失败，取消事件
+     *     audit(ctx.name, ctx.data);
+     * });
+     */
+    use(interceptor) {
+        if (typeof interceptor !== "function") {
+            throw new TypeError("MyEvent.use: interceptor 必须是函数");
+        }
+        this.interceptors.push(interceptor);
+        return () => {
+            const index = this.interceptors.indexOf(interceptor);
+            if (index > -1) this.interceptors.splice(index, 1);
+        };
+    }
+
+    /**
+     * 触发事件（同步执行）。先运行拦截器，再按优先级从高到低执行精确匹配与通配匹配的监听器。
+     * @template {keyof EventMap & string} K
+     * @param {K} name - 具体事件名
+     * @param {EventMap[K]} [data] - 载荷
      * @param {*} [fnThis] - 回调内部 this 指向，默认 undefined
+     * @returns {{ cancelled: boolean, data: any }} 是否被拦截器取消，以及经拦截器转换后的最终载荷
      */
     emit(name, data, fnThis) {
-        if (!this.evtPool.has(name)) return;
-        const evtItems = this.evtPool.get(name);
-        evtItems.forEach((item) => {
+        const ctx = { name, data, fnThis };
+        for (const interceptor of [...this.interceptors]) {
             try {
-                item.fn.call(fnThis, data);
+                const result = interceptor(ctx);
+                if (result && typeof result.then === "function") {
+                    this.logger.warn(`emit("${name}") 不会等待异步拦截器，请使用 emitAsync`);
+                } else if (result === false) {
+                    return { cancelled: true, data: ctx.data };
+                }
             } catch (err) {
-                console.error(`Error in event listener for "${name}":`, err);
+                this.logger.error(`Error in interceptor for "${name}":`, err);
+                return { cancelled: true, data: ctx.data };
+            }
+        }
+        this._record(name, ctx.data);
+
+        this._getMatchedItems(name).forEach((item) => {
+            try {
+                const result = item.fn.call(ctx.fnThis, ctx.data, name);
+                // 异步监听器的失败同样记录日志，避免未处理的 Promise 拒绝
+                if (result && typeof result.catch === "function") {
+                    result.catch((err) => this.logger.error(`Error in event listener for "${name}":`, err));
+                }
+            } catch (err) {
+                this.logger.error(`Error in event listener for "${name}":`, err);
             }
         });
+        return { cancelled: false, data: ctx.data };
+    }
+
+    /**
+     * 异步触发事件：等待（可能异步的）拦截器与监听器，并收集每个监听器的结果或错误。
+     * 监听器抛出的异常不会中断其他监听器，而是以 `rejected` 记录在结果中。
+     *
+     * @template {keyof EventMap & string} K
+     * @param {K} name - 具体事件名
+     * @param {EventMap[K]} [data] - 载荷
+     * @param {object} [options]
+     * @param {'series'|'parallel'} [options.mode='series'] - 串行（按优先级依次 await）或并行执行监听器
+     * @param {*} [options.fnThis] - 回调内部 this 指向
+     * @returns {Promise<{ cancelled: boolean, data: any, results: Array<{ status: 'fulfilled', value: any } | { status: 'rejected', reason: any }> }>}
+     *          data 为经拦截器转换后的最终载荷；results 与监听器执行顺序一一对应；被拦截器取消时 cancelled 为 true 且 results 为空
+     *
+     * @example
+     * const { results } = await bus.emitAsync("form.submit", form, { mode: "parallel" });
+     * const errors = results.filter((r) => r.status === "rejected");
+     */
+    async emitAsync(name, data, { mode = "series", fnThis } = {}) {
+        const ctx = { name, data, fnThis };
+        for (const interceptor of [...this.interceptors]) {
+            try {
+                if ((await interceptor(ctx)) === false) {
+                    return { cancelled: true, data: ctx.data, results: [] };
+                }
+            } catch (err) {
+                this.logger.error(`Error in interceptor for "${name}":`, err);
+                return { cancelled: true, data: ctx.data, results: [] };
+            }
+        }
+        this._record(name, ctx.data);
+
+        const items = this._getMatchedItems(name);
+        const call = async (item) => item.fn.call(ctx.fnThis, ctx.data, name);
+
+        if (mode === "parallel") {
+            return { cancelled: false, data: ctx.data, results: await Promise.allSettled(items.map(call)) };
+        }
+
+        const results = [];
+        for (const item of items) {
+            try {
+                results.push({ status: "fulfilled", value: await call(item) });
+            } catch (reason) {
+                results.push({ status: "rejected", reason });
+            }
+        }
+        return { cancelled: false, data: ctx.data, results };
+    }
+
+    _checkMaxListeners(name) {
+        const max = this.maxListeners;
+        if (!max || max === Infinity || this.warnedEvents.has(name)) return;
+        const count = this.evtPool.get(name).length;
+        if (count > max) {
+            this.warnedEvents.add(name);
+            this.logger.warn(`可能存在内存泄漏：事件 "${name}" 已添加 ${count} 个监听器（maxListeners = ${max}），可通过 setMaxListeners() 调高上限`);
+        }
+    }
+
+    _setReplayRule(name, patch) {
+        const rule = { sticky: false, size: 0, ...this.replayRules.get(name), ...patch };
+        if (!rule.sticky && rule.size === 0) {
+            this.replayRules.delete(name);
+        } else {
+            this.replayRules.set(name, rule);
+        }
+    }
+
+    /**
+     * 查找具体事件名对应的回放规则：精确规则优先，其次是第一个匹配的通配规则。
+     * @param {string} name - 具体事件名
+     * @returns {{ sticky: boolean, size: number } | undefined}
+     */
+    _getReplayRule(name) {
+        if (this.replayRules.has(name)) return this.replayRules.get(name);
+        for (const [key, rule] of this.replayRules) {
+            if (isEventPattern(key) && matchEventPattern(key, name)) return rule;
+        }
+    }
+
+    _record(name, data) {
+        const rule = this._getReplayRule(name);
+        if (!rule) return;
+        const limit = Math.max(rule.size, rule.sticky ? 1 : 0);
+        const buffer = this.replayBuffers.get(name) || [];
+        buffer.push({ data, time: Date.now(), seq: ++this.replaySeq });
+        if (buffer.length > limit) buffer.splice(0, buffer.length - limit);
+        this.replayBuffers.set(name, buffer);
+    }
+
+    /**
+     * 向新注册的监听器补发历史事件：all 为 true 时补发全部缓冲，否则只补发粘性事件的最后一次载荷。
+     * @param {string} name - 注册时的事件名或通配模式
+     * @param {{ fn: Function }} evtItem - 新注册的监听器
+     * @param {boolean} all - 是否补发全部缓冲
+     */
+    _replayTo(name, evtItem, all) {
+        if (this.replayBuffers.size === 0) return;
+        const entries = [];
+        this.replayBuffers.forEach((buffer, key) => {
+            if (key !== name && !(isEventPattern(name) && matchEventPattern(name, key))) return;
+            if (all) {
+                buffer.forEach((entry) => entries.push({ name: key, ...entry }));
+            } else if (buffer.length > 0 && (this._getReplayRule(key) || {}).sticky) {
+                entries.push({ name: key, ...buffer[buffer.length - 1] });
+            }
+        });
+        entries.sort((a, b) => a.seq - b.seq);
+
+        for (const entry of entries) {
+            // once 监听器在第一次回放后即被移除
+            const items = this.evtPool.get(name);
+            if (!items || !items.includes(evtItem)) break;
+            try {
+                evtItem.fn.call(undefined, entry.data, entry.name);
+            } catch (err) {
+                this.logger.error(`Error in event listener for "${entry.name}":`, err);
+            }
+        }
+    }
+
+    /**
+     * 收集某个具体事件名需要执行的监听器（快照，避免执行过程中增删监听器影响本次触发），
+     * 按优先级从高到低、同优先级按注册顺序排列。
+     * @param {string} name - 具体事件名
+     * @returns {Array<{ flag: string, fn: Function, priority: number, order: number }>}
+     */
+    _getMatchedItems(name) {
+        const items = this.evtPool.has(name) ? [...this.evtPool.get(name)] : [];
+        this.evtPool.forEach((patternItems, key) => {
+            if (key !== name && isEventPattern(key) && matchEventPattern(key, name)) {
+                items.push(...patternItems);
+            }
+        });
+        return items.sort((a, b) => b.priority - a.priority || a.order - b.order);
     }
 }
 
 /**
- * 跨页通信插件：通过 localStorage + storage 事件将当前实例的 emit 广播到其他同源页面。
- * 支持节流、命名空间隔离。
+ * SharedWorker 传输方式使用的中转脚本源码：把每个页面发来的消息转发给其他已连接的页面。
+ * 需要把它部署为同源的 js 文件（所有页面必须使用同一个 URL），再通过 `workerUrl` 传给 MyEvent_CrossPagePlugin。
+ */
+export const MyEvent_CrossPageWorkerCode = `
+const ports = new Set();
+onconnect = (e) => {
+    const port = e.ports[0];
+    ports.add(port);
+    port.onmessage = (evt) => {
+        if (evt.data && evt.data.type === "__close__") {
+            ports.delete(port);
+            return;
+        }
+        ports.forEach((p) => p !== port && p.postMessage(evt.data));
+    };
+    port.start();
+};
+`;
+
+/**
+ * 跨页通信插件：将当前实例的 emit 广播到其他同源页面。
+ * - 传输方式可选 BroadcastChannel、localStorage + storage 事件、SharedWorker，或自定义传输对象
+ * - 按事件名节流：节流窗口内只保留最新载荷，窗口结束时补发，不会丢弃最后一次事件
+ * - 消息带发送页 tabId 与递增序号，按序号去重，不依赖各页面的时钟
+ * - 可向指定页面定向发送，并维护在线页面列表（join/leave 事件）
+ * - 支持命名空间隔离
  */
 export const MyEvent_CrossPagePlugin = (() => {
     const INSTALLED = new WeakSet(); // 防止重复安装
 
+    /**
+     * 创建页面间传输通道。
+     * @param {string} ns - 命名空间键
+     * @param {'auto'|'broadcast-channel'|'storage'|'shared-worker'|object} transport - 传输方式或自定义传输对象
+     * @param {string} [workerUrl] - SharedWorker 脚本地址
+     * @returns {{ postMessage: (msg: object) => void, subscribe: (handler: (msg: object) => void) => () => void, close: () => void }}
+     */
+    function createTransport(ns, transport, workerUrl) {
+        if (transport && typeof transport === "object") return transport;
+
+        if (transport === "shared-worker") {
+            if (typeof SharedWorker === "undefined") throw new Error("当前环境不支持 SharedWorker");
+            if (!workerUrl) throw new TypeError("使用 shared-worker 传输时必须提供 workerUrl（内容见 MyEvent_CrossPageWorkerCode）");
+            const port = new SharedWorker(workerUrl, { name: ns }).port;
+            port.start();
+            return {
+                postMessage: (msg) => port.postMessage(msg),
+                subscribe(handler) {
+                    const listener = (e) => handler(e.data);
+                    port.addEventListener("message", listener);
+                    return () => port.removeEventListener("message", listener);
+                },
+                close() {
+                    port.postMessage({ type: "__close__" });
+                    port.close();
+                }
+            };
+        }
+
+        if (transport === "broadcast-channel" || (transport !== "storage" && typeof BroadcastChannel !== "undefined")) {
+            const channel = new BroadcastChannel(ns);
+            return {
+                postMessage: (msg) => channel.postMessage(msg),
+                subscribe(handler) {
+                    const listener = (e) => handler(e.data);
+                    channel.addEventListener("message", listener);
+                    return () => channel.removeEventListener("message", listener);
+                },
+                close: () => channel.close()
+            };
+        }
+
+        return {
+            postMessage(msg) {
+                localStorage.setItem(ns, JSON.stringify(msg));
+                localStorage.removeItem(ns); // 触发 storage 事件
+            },
+            subscribe(handler) {
+                const listener = (e) => {
+                    if (e.key !== ns || !e.newValue) return;
+                    let msg;
+                    try {
+                        msg = JSON.parse(e.newValue);
+                    } catch {
+                        return;
+                    }
+                    handler(msg);
+                };
+                addEventListener("storage", listener);
+                return () => removeEventListener("storage", listener);
+            },
+            close() {}
+        };
+    }
+
     return {
         /**
          * 为指定 MyEvent 实例安装跨页插件。
+         * 安装后实例上会多出 `bus.crossPage`：`{ tabId, getTabs(), emitTo(tabId, name, data) }`。
+         *
          * @param {MyEvent} bus - 事件总线实例
-         * @param {Options} [opts] - 配置项
+         * @param {object} [opts] - 配置项
+         * @param {string} [opts.namespace='default'] - 命名空间，不同命名空间之间互不通信
+         * @param {'auto'|'broadcast-channel'|'storage'|'shared-worker'|object} [opts.transport='auto'] - 传输方式；auto 优先 BroadcastChannel，不支持时使用 localStorage。也可传入实现了 `postMessage(msg)`、`subscribe(handler): unsubscribe`、`close()` 的对象
+         * @param {string} [opts.workerUrl] - transport 为 shared-worker 时的脚本地址，脚本内容见 `MyEvent_CrossPageWorkerCode`
+         * @param {number|Record<string, number>} [opts.throttle=16] - 按事件名节流的间隔（毫秒），0 表示不节流；可传对象为不同事件单独设置，未设置的事件仍按 16ms 节流
+         * @param {number} [opts.presenceInterval=1000] - 在线心跳间隔（毫秒）
+         * @param {number} [opts.presenceTimeout] - 超过该时间未收到心跳视为页面离开，默认 presenceInterval 的 3 倍
+         * @param {string} [opts.joinEvent='crosspage:join'] - 有页面加入时在本地触发的事件名，载荷为 `{ tabId }`
+         * @param {string} [opts.leaveEvent='crosspage:leave'] - 有页面离开时在本地触发的事件名，载荷为 `{ tabId }`
+         *
+         * @example
+         * MyEvent_CrossPagePlugin.install(bus, { namespace: "app", throttle: { "cursor.move": 50 } });
+         * bus.on("crosspage:join", ({ tabId }) => bus.crossPage.emitTo(tabId, "state.sync", getState()));
          */
         install(bus, opts = {}) {
             if (INSTALLED.has(bus)) return;
             INSTALLED.add(bus);
 
             const ns = `___my-event-cross-page-${opts.namespace || "default"}___`;
-            const delay = opts.throttle || 16;
-            let last = 0;
+            const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            const presenceInterval = opts.presenceInterval || 1000;
+            const presenceTimeout = opts.presenceTimeout || presenceInterval * 3;
+            const joinEvent = opts.joinEvent || "crosspage:join";
+            const leaveEvent = opts.leaveEvent || "crosspage:leave";
+            const transport = createTransport(ns, opts.transport || "auto", opts.workerUrl);
+
+            let seq = 0;
+            const lastSeqs = new Map(); // 来源 tabId -> 已处理的最大序号
+            const tabs = new Map(); // 其他页面 tabId -> 最近一次收到消息的时间
+            const throttleStates = new Map(); // 事件名 -> { last, timer, data }
 
-            //  1、重写 emit
             const rawEmit = bus.emit;
-            bus.emit = function (name, data, fnThis) {
-                rawEmit.call(bus, name, data, fnThis); // 本地先执行
-                const now = Date.now();
-                if (now - last < delay) return;
-                last = now;
-                const key = ns + name;
+            const rawEmitAsync = bus.emitAsync;
+
+            function post(msg) {
                 try {
-                    localStorage.setItem(key, JSON.stringify({ name, data, ts: now }));
-                    localStorage.removeItem(key); // 触发 storage 事件
-                } catch (e) {}
+                    transport.postMessage({ ...msg, from: tabId, seq: ++seq });
+                } catch (e) {
+                    bus.logger.warn("跨页消息发送失败:", e);
+                }
+            }
+
+            function getThrottle(name) {
+                const { throttle } = opts;
+                if (typeof throttle === "number") return throttle;
+                if (throttle && typeof throttle[name] === "number") return throttle[name];
+                return 16;
+            }
+
+            function broadcast(name, data, to) {
+                const delay = to ? 0 : getThrottle(name);
+                if (delay <= 0) {
+                    post({ type: "event", name, data, to });
+                    return;
+                }
+
+                let state = throttleStates.get(name);
+                if (!state) {
+                    state = { last: 0, timer: null, data: undefined };
+                    throttleStates.set(name, state);
+                }
+                const now = Date.now();
+                if (!state.timer && now - state.last >= delay) {
+                    state.last = now;
+                    post({ type: "event", name, data });
+                    return;
+                }
+                // 节流窗口内：只保留最新载荷，窗口结束时补发
+                state.data = data;
+                if (!state.timer) {
+                    state.timer = setTimeout(
+                        () => {
+                            state.timer = null;
+                            state.last = Date.now();
+                            post({ type: "event", name, data: state.data });
+                        },
+                        delay - (now - state.last)
+                    );
+                }
+            }
+
+            function touch(id) {
+                const isNew = !tabs.has(id);
+                tabs.set(id, Date.now());
+                if (isNew) rawEmit.call(bus, joinEvent, { tabId: id });
+            }
+
+            function drop(id) {
+                lastSeqs.delete(id);
+                if (tabs.delete(id)) rawEmit.call(bus, leaveEvent, { tabId: id });
+            }
+
+            //  1、重写 emit / emitAsync：本地执行后广播；被拦截器取消的事件不广播，广播的是拦截器转换后的载荷
+            bus.emit = function (name, data, fnThis) {
+                const result = rawEmit.call(bus, name, data, fnThis); // 本地先执行
+                if (!result.cancelled) broadcast(name, result.data);
+                return result;
+            };
+            bus.emitAsync = async function (name, data, options) {
+                const result = await rawEmitAsync.call(bus, name, data, options);
+                if (!result.cancelled) broadcast(name, result.data);
+                return result;
             };
 
             //  2、监听其他页广播
-            function onStorageHandler(e) {
-                if (!e.key || !e.key.startsWith(ns)) return;
-                let payload;
-                try {
-                    payload = JSON.parse(e.newValue || "{}");
-                } catch {
+            function onMessage(msg) {
+                if (!msg || !msg.from || msg.from === tabId) return;
+                if (msg.to && msg.to !== tabId) return;
+                if (msg.seq <= (lastSeqs.get(msg.from) || 0)) return; // 重复或过期的消息
+                lastSeqs.set(msg.from, msg.seq);
+
+                if (msg.type === "leave") {
+                    drop(msg.from);
                     return;
                 }
-                if (!payload.ts || payload.ts <= last) return;
-                rawEmit.call(bus, e.key.slice(ns.length), payload.data); // 仅本地
+                touch(msg.from);
+                if (msg.type === "join") {
+                    post({ type: "presence", to: msg.from }); // 让新页面尽快知道自己
+                } else if (msg.type === "event") {
+                    rawEmit.call(bus, msg.name, msg.data); // 仅本地
+                }
             }
-            addEventListener("storage", onStorageHandler);
+            const unsubscribe = transport.subscribe(onMessage);
+
+            //  3、在线心跳：广播自己并清理超时页面
+            const presenceTimer = setInterval(() => {
+                post({ type: "presence" });
+                const now = Date.now();
+                tabs.forEach((lastSeen, id) => now - lastSeen > presenceTimeout && drop(id));
+            }, presenceInterval);
+            const onPageHide = () => post({ type: "leave" });
+            if (typeof addEventListener === "function") addEventListener("pagehide", onPageHide);
+            post({ type: "join" });
+
+            bus.crossPage = {
+                tabId,
+                /**
+                 * @returns {string[]} 当前在线的其他页面 tabId
+                 */
+                getTabs: () => [...tabs.keys()],
+                /**
+                 * 只向指定页面发送事件（不在本地触发、不节流）
+                 * @param {string} targetTabId - 目标页面 tabId
+                 * @param {string} name - 事件名
+                 * @param {*} [data] - 载荷
+                 */
+                emitTo: (targetTabId, name, data) => broadcast(name, data, targetTabId)
+            };
 
-            //  3、保存卸载器
+            //  4、保存卸载器
             bus._uninstallCrossPage = () => {
-                removeEventListener("storage", onStorageHandler);
+                post({ type: "leave" });
+                clearInterval(presenceTimer);
+                throttleStates.forEach((state) => clearTimeout(state.timer));
+                if (typeof removeEventListener === "function") removeEventListener("pagehide", onPageHide);
+                unsubscribe();
+                transport.close();
                 bus.emit = rawEmit;
+                bus.emitAsync = rawEmitAsync;
+                delete bus.crossPage;
+                delete bus._uninstallCrossPage;
                 INSTALLED.delete(bus);
             };
         },
@@ -1,20 +1,265 @@
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("id");
+
+let insecureRandomWarned = false;
+
+/**
+ * 获取密码学安全的随机字节；运行环境不支持 Web Crypto 时退回 Math.random 并警告一次。
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function getRandomBytes(length) {
+    const bytes = new Uint8Array(length);
+    const cryptoObj = globalThis.crypto;
+    if (cryptoObj && typeof cryptoObj.getRandomValues === "function") {
+        cryptoObj.getRandomValues(bytes);
+        return bytes;
+    }
+    if (!insecureRandomWarned) {
+        insecureRandomWarned = true;
+        logger.warn("crypto.getRandomValues 不可用，UUID 将使用 Math.random 生成（非密码学安全）");
+    }
+    for (let i = 0; i < length; i++) {
+        bytes[i] = (Math.random() * 256) | 0;
+    }
+    return bytes;
+}
+
+/**
+ * 写入版本号与 RFC 4122 变体位。
+ * @param {Uint8Array} bytes
+ * @param {number} version
+ * @returns {Uint8Array}
+ */
+function setVersionAndVariant(bytes, version) {
+    bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    return bytes;
+}
+
+/**
+ * UTF-8 字节上的 SHA-1 摘要（同步实现，供 UUID v5 使用）。
+ * @param {Uint8Array} message
+ * @returns {Uint8Array} 20 字节摘要
+ */
+function sha1(message) {
+    const bitLength = message.length * 8;
+    const padded = new Uint8Array((((message.length + 8) >> 6) + 1) * 64);
+    padded.set(message);
+    padded[message.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(padded.length - 4, bitLength >>> 0);
+
+    const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    const w = new Uint32Array(80);
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 80; i++) {
+            const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+            w[i] = (x << 1) | (x >>> 31);
+        }
+        let [a, b, c, d, e] = h;
+        for (let i = 0; i < 80; i++) {
+            let f, k;
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5a827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ed9eba1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8f1bbcdc;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xca62c1d6;
+            }
+            const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0;
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = temp;
+        }
+        h[0] = (h[0] + a) >>> 0;
+        h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0;
+        h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0;
+    }
+
+    const digest = new Uint8Array(20);
+    const digestView = new DataView(digest.buffer);
+    h.forEach((value, i) => digestView.setUint32(i * 4, value));
+    return digest;
+}
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * RFC 4122 预定义的 UUID v5 / v3 命名空间。
+ */
+export const UUID_NAMESPACES = Object.freeze({
+    DNS: "6ba7b810-9dad-11d1-80b4-00c04fd430c8",
+    URL: "6ba7b811-9dad-11d1-80b4-00c04fd430c8",
+    OID: "6ba7b812-9dad-11d1-80b4-00c04fd430c8",
+    X500: "6ba7b814-9dad-11d1-80b4-00c04fd430c8"
+});
+
+/**
+ * 校验字符串是否为标准格式的 UUID（`8-4-4-4-12` 个十六进制字符，不区分大小写）。
+ * 全 0 的 Nil UUID 与全 f 的 Max UUID 也视为合法。
+ *
+ * @param {string} uuid
+ * @returns {boolean}
+ *
+ * @example
+ * validateUUID("9b2a4c1e-0f3d-4c8b-9a51-2f6e7d8c9b0a"); // true
+ * validateUUID("not-a-uuid");                            // false
+ */
+export function validateUUID(uuid) {
+    if (typeof uuid !== "string" || !UUID_REGEX.test(uuid)) return false;
+    const lower = uuid.toLowerCase();
+    if (lower === "00000000-0000-0000-0000-000000000000" || lower === "ffffffff-ffff-ffff-ffff-ffffffffffff") return true;
+    const version = parseInt(uuid[14], 16);
+    const variant = parseInt(uuid[19], 16);
+    return version >= 1 && version <= 8 && variant >= 8 && variant <= 0xb;
+}
+
+/**
+ * 获取 UUID 的版本号（1 ~ 8；Nil UUID 为 0，Max UUID 为 15）。
+ *
+ * @param {string} uuid
+ * @returns {number}
+ * @throws {TypeError} 不是合法的 UUID
+ */
+export function getUUIDVersion(uuid) {
+    if (!validateUUID(uuid)) throw new TypeError(`Invalid UUID: ${uuid}`);
+    return parseInt(uuid[14], 16);
+}
+
+/**
+ * 把 UUID 字符串转换为 16 字节的二进制形式。
+ *
+ * @param {string} uuid
+ * @returns {Uint8Array}
+ * @throws {TypeError} 不是合法的 UUID
+ */
+export function parseUUID(uuid) {
+    if (!validateUUID(uuid)) throw new TypeError(`Invalid UUID: ${uuid}`);
+    const hex = uuid.replace(/-/g, "");
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * 把 16 字节的二进制 UUID 转换为小写的标准字符串形式。
+ *
+ * @param {ArrayLike<number>} bytes - 16 字节
+ * @returns {string}
+ */
+export function stringifyUUID(bytes) {
+    if (!bytes || bytes.length !== 16) throw new TypeError("UUID bytes must have a length of 16");
+    let hex = "";
+    for (let i = 0; i < 16; i++) {
+        hex += (bytes[i] & 0xff).toString(16).padStart(2, "0");
+        if (i === 3 || i === 5 || i === 7 || i === 9) hex += "-";
+    }
+    return hex;
+}
+
+/**
+ * 生成 UUID v4（随机）。优先使用 `crypto.randomUUID`，其次 `crypto.getRandomValues`。
+ *
+ * @returns {string} 小写 UUID
+ *
+ * @example
+ * uuidV4(); // "3b241101-e2bb-4255-8caf-4136c566a962"
+ */
+export function uuidV4() {
+    const cryptoObj = globalThis.crypto;
+    if (cryptoObj && typeof cryptoObj.randomUUID === "function") {
+        return cryptoObj.randomUUID();
+    }
+    return stringifyUUID(setVersionAndVariant(getRandomBytes(16), 4));
+}
+
+let v7LastMs = -1;
+let v7Counter = 0;
+
+/**
+ * 生成 UUID v7（RFC 9562）：前 48 位为毫秒时间戳，可按字符串直接排序。
+ * 同一毫秒内使用 12 位随机起始的计数器保证单调递增；计数器用尽或时钟回拨时沿用上一个时间戳继续递增。
+ *
+ * @returns {string} 小写 UUID
+ *
+ * @example
+ * uuidV7() < uuidV7(); // true
+ */
+export function uuidV7() {
+    const bytes = getRandomBytes(16);
+    let ms = Date.now();
+    if (ms > v7LastMs) {
+        v7LastMs = ms;
+        v7Counter = ((bytes[6] & 0x07) << 8) | bytes[7]; // 计数器从随机值开始，最高位留空防止很快溢出
+    } else {
+        ms = v7LastMs;
+        if (++v7Counter > 0xfff) {
+            v7LastMs = ms = v7LastMs + 1;
+            v7Counter = 0;
+        }
+    }
+    bytes[0] = Math.floor(ms / 0x10000000000) & 0xff;
+    bytes[1] = Math.floor(ms / 0x100000000) & 0xff;
+    bytes[2] = (ms >>> 24) & 0xff;
+    bytes[3] = (ms >>> 16) & 0xff;
+    bytes[4] = (ms >>> 8) & 0xff;
+    bytes[5] = ms & 0xff;
+    bytes[6] = v7Counter >>> 8;
+    bytes[7] = v7Counter & 0xff;
+    return stringifyUUID(setVersionAndVariant(bytes, 7));
+}
+
+/**
+ * 生成 UUID v5（基于名称）：对 命名空间 + 名称 做 SHA-1，相同输入总是得到相同的 UUID。
+ *
+ * @param {string | Uint8Array} name - 名称，字符串按 UTF-8 编码
+ * @param {string | Uint8Array} namespace - 命名空间 UUID，可使用 `UUID_NAMESPACES` 中的预定义值
+ * @returns {string} 小写 UUID
+ *
+ * @example
+ * uuidV5("www.example.com", UUID_NAMESPACES.DNS); // "2ed6657d-e927-568b-95e1-2665a8aea6a2"
+ */
+export function uuidV5(name, namespace) {
+    const namespaceBytes = typeof namespace === "string" ? parseUUID(namespace) : namespace;
+    if (!namespaceBytes || namespaceBytes.length !== 16) throw new TypeError("Namespace must be a UUID");
+    const nameBytes = typeof name === "string" ? new TextEncoder().encode(name) : name;
+    const message = new Uint8Array(16 + nameBytes.length);
+    message.set(namespaceBytes);
+    message.set(nameBytes, 16);
+    return stringifyUUID(setVersionAndVariant(sha1(message).subarray(0, 16), 5));
+}
+
 /**
- * 生成 RFC4122 版本 4 的 GUID/UUID。
- * 收集来源：《基于mvc的javascript web富应用开发》 书中介绍是Robert Kieffer写的，还留了网址 http://goo.gl/0b0hu ，但实际访问不了。
+ * 生成 RFC4122 版本 4 的 GUID/UUID，基于 `uuidV4`（密码学安全的随机数）。
  * 格式：`xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx`
  *
- * @returns {string} 36 位大写 GUID
+ * @param {object} [options]
+ * @param {boolean} [options.uppercase=true] - 是否转为大写（兼容旧版本的输出）
+ * @returns {string} 36 位 GUID
  *
  * @example
  * // A2E0F340-6C3B-4D7F-B8C1-1E4F6A8B9C0D
  * console.log(getGUID())
  */
-export function getGUID() {
-    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
-        let r = (Math.random() * 16) | 0,
-            v = c == "x" ? r : (r & 0x3) | 0x8;
-        return v.toString(16).toUpperCase();
-    });
+export function getGUID({ uppercase = true } = {}) {
+    const uuid = uuidV4();
+    return uppercase ? uuid.toUpperCase() : uuid;
 }
 
 /**
@@ -23,6 +268,8 @@ export function getGUID() {
  * - timestamp：毫秒级时间戳
  * - flag：客户端标识串（自定义）
  * - serial：同一毫秒内的序号，左补零到固定长度
+ *
+ * @deprecated 请使用 {@link SnowflakeId}，它生成 64 位整数 ID 并处理时钟回拨
  */
 export class MyId {
     #ts = Date.now(); //	时间戳
@@ -42,7 +289,7 @@ export class MyId {
             if (typeof option.flag === "string") {
                 this.#flag = option.flag;
             }
-            if (Number.isSafeInteger(option.len) && len >= 0) {
+            if (Number.isSafeInteger(option.len) && option.len >= 0) {
                 this.#len = option.len;
             }
         }
@@ -50,7 +297,7 @@ export class MyId {
 
     /**
      * 生成下一个全局唯一字符串 ID。
-     * 同一毫秒序号自动递增；序号溢出时会在控制台警告。
+     * 同一毫秒序号自动递增；序号溢出时等到下一毫秒再生成，避免重复。
      * @returns {string}
      */
     nextId() {
@@ -58,7 +305,11 @@ export class MyId {
         if (ts === this.#ts) {
             this.#sn++;
             if (this.#sn >= 10 ** this.#len) {
-                console.log("长度不够用了！！！");
+                while (ts <= this.#ts) {
+                    ts = Date.now();
+                }
+                this.#sn = 0;
+                this.#ts = ts;
             }
         } else {
             this.#sn = 0;
@@ -67,3 +318,192 @@ export class MyId {
         return ts.toString() + this.#flag + this.#sn.toString().padStart(this.#len, "0");
     }
 }
+
+/**
+ * 雪花 ID 的预设布局。
+ * - `snowflake`：Twitter Snowflake，41 位毫秒时间 | 5 位数据中心 | 5 位机器 | 12 位序号
+ * - `sonyflake`：Sonyflake，39 位 10ms 时间 | 8 位序号 | 16 位机器，纪元 2014-09-01 UTC
+ */
+const SNOWFLAKE_PRESETS = {
+    snowflake: { epoch: 1288834974657, timeUnitMs: 1, datacenterBits: 5, workerBits: 5, sequenceBits: 12, sequenceFirst: false },
+    sonyflake: { epoch: 1409529600000, timeUnitMs: 10, datacenterBits: 0, workerBits: 16, sequenceBits: 8, sequenceFirst: true }
+};
+
+/**
+ * 雪花 ID 解析结果。
+ * @typedef {Object} SnowflakeIdInfo
+ * @property {number} timestamp 生成时间（Unix 毫秒，精度为 timeUnitMs）
+ * @property {number} datacenterId 数据中心 ID
+ * @property {number} workerId 机器 ID
+ * @property {number} sequence 同一时间单位内的序号
+ */
+
+/**
+ * Snowflake / Sonyflake 兼容的 64 位 ID 生成器，ID 按生成时间递增。
+ *
+ * - 同一时间单位内序号用尽时，同步等待到下一个时间单位
+ * - 时钟回拨不超过 `maxClockBackwardMs` 时沿用上一次的时间继续分配（必要时借用未来的时间单位），超过则抛出异常
+ *
+ * @example
+ * const ids = new SnowflakeId({ workerId: 1, datacenterId: 2 });
+ * const id = ids.nextId();          // "1541815603606036480"
+ * ids.decode(id);                   // { timestamp, datacenterId: 2, workerId: 1, sequence: 0 }
+ *
+ * const sony = new SnowflakeId({ preset: "sonyflake", workerId: 0x1234, output: "bigint" });
+ */
+export class SnowflakeId {
+    #epoch; //	纪元（Unix 毫秒）
+    #timeUnitMs; //	时间单位（毫秒）
+    #datacenterId;
+    #workerId;
+    #datacenterBits;
+    #workerBits;
+    #sequenceBits;
+    #timeShift;
+    #datacenterShift;
+    #workerShift;
+    #sequenceShift;
+    #maxTick;
+    #maxClockBackwardMs;
+    #output;
+    #logger;
+    #lastTick = -1; //	上一次分配的时间单位
+    #clockTick = -1; //	时钟读到过的最大时间单位（不含回拨期间借用的时间单位）
+    #sequence = 0;
+    #rollback = false; //	当前是否处于时钟回拨中
+
+    /**
+     * @param {object} [options]
+     * @param {'snowflake'|'sonyflake'} [options.preset='snowflake'] - 位布局与默认值的预设
+     * @param {number} [options.epoch] - 自定义纪元（Unix 毫秒），不能晚于当前时间
+     * @param {number} [options.timeUnitMs] - 时间戳单位（毫秒），Sonyflake 为 10
+     * @param {number} [options.datacenterBits] - 数据中心位数
+     * @param {number} [options.workerBits] - 机器位数
+     * @param {number} [options.sequenceBits] - 序号位数
+     * @param {number} [options.datacenterId=0] - 数据中心 ID
+     * @param {number} [options.workerId=0] - 机器 ID
+     * @param {number} [options.maxClockBackwardMs=1000] - 可容忍的时钟回拨（毫秒）
+     * @param {'string'|'bigint'} [options.output='string'] - `nextId` 的返回类型；十进制字符串可以安全地放进 JSON
+     * @param {import("./logger.js").Logger} [options.logger] - 日志记录器，默认 `createLogger("id")`
+     */
+    constructor(options = {}) {
+        const { preset = "snowflake", datacenterId = 0, workerId = 0, maxClockBackwardMs = 1000, output = "string", logger } = options;
+        const defaults = SNOWFLAKE_PRESETS[preset];
+        if (!defaults) throw new RangeError(`Unknown snowflake preset: ${preset}`);
+        const config = { ...defaults };
+        for (const key of ["epoch", "timeUnitMs", "datacenterBits", "workerBits", "sequenceBits"]) {
+            if (options[key] !== undefined) config[key] = options[key];
+        }
+        const { epoch, timeUnitMs, datacenterBits, workerBits, sequenceBits } = config;
+
+        for (const [name, bits] of Object.entries({ datacenterBits, workerBits, sequenceBits })) {
+            if (!Number.isInteger(bits) || bits < 0 || bits > 31) throw new RangeError(`${name} must be an integer between 0 and 31`);
+        }
+        const timeBits = 63 - datacenterBits - workerBits - sequenceBits;
+        if (timeBits < 31) throw new RangeError("Too many datacenter/worker/sequence bits, at least 31 bits are required for the timestamp");
+        if (!Number.isInteger(timeUnitMs) || timeUnitMs < 1) throw new RangeError("timeUnitMs must be a positive integer");
+        if (!Number.isSafeInteger(epoch) || epoch < 0 || epoch > Date.now()) throw new RangeError("epoch must be a past Unix timestamp in milliseconds");
+        if (!Number.isInteger(datacenterId) || datacenterId < 0 || datacenterId >= 2 ** datacenterBits) throw new RangeError(`datacenterId must be between 0 and ${2 ** datacenterBits - 1}`);
+        if (!Number.isInteger(workerId) || workerId < 0 || workerId >= 2 ** workerBits) throw new RangeError(`workerId must be between 0 and ${2 ** workerBits - 1}`);
+        if (output !== "string" && output !== "bigint") throw new RangeError(`Unknown output type: ${output}`);
+
+        this.#epoch = epoch;
+        this.#timeUnitMs = timeUnitMs;
+        this.#datacenterId = datacenterId;
+        this.#workerId = workerId;
+        this.#datacenterBits = datacenterBits;
+        this.#workerBits = workerBits;
+        this.#sequenceBits = sequenceBits;
+        this.#maxTick = 2 ** timeBits - 1;
+        this.#maxClockBackwardMs = maxClockBackwardMs;
+        this.#output = output;
+        this.#logger = logger || createLogger("id");
+
+        if (defaults.sequenceFirst) {
+            this.#workerShift = 0;
+            this.#datacenterShift = workerBits;
+            this.#sequenceShift = workerBits + datacenterBits;
+        } else {
+            this.#sequenceShift = 0;
+            this.#workerShift = sequenceBits;
+            this.#datacenterShift = sequenceBits + workerBits;
+        }
+        this.#timeShift = datacenterBits + workerBits + sequenceBits;
+    }
+
+    /**
+     * 生成下一个 ID。
+     * @returns {string | bigint} 按构造参数 `output` 返回十进制字符串或 BigInt
+     * @throws {Error} 时钟回拨超过 `maxClockBackwardMs`
+     * @throws {RangeError} 时间戳超出可表示范围
+     */
+    nextId() {
+        const clockTick = this.#currentTick();
+        let tick = clockTick;
+        if (tick < this.#lastTick) {
+            // 回拨幅度相对时钟读到过的最大时间计算：回拨期间借用的时间单位不算在内，否则持续生成时会被误判为回拨过大
+            const driftMs = Math.max(0, this.#clockTick - tick) * this.#timeUnitMs;
+            if (driftMs > this.#maxClockBackwardMs) {
+                throw new Error(`Clock moved backwards by ${driftMs}ms, refusing to generate id`);
+            }
+            if (!this.#rollback) {
+                this.#rollback = true;
+                this.#logger.warn(`检测到时钟回拨 ${driftMs}ms，沿用上一次的时间戳继续生成`);
+            }
+            tick = this.#lastTick;
+        } else {
+            this.#rollback = false;
+        }
+
+        if (tick === this.#lastTick) {
+            this.#sequence = (this.#sequence + 1) % 2 ** this.#sequenceBits;
+            if (this.#sequence === 0) {
+                // 序号用尽：正常情况下等到下一个时间单位；回拨期间真实时间追不上，只能借用下一个时间单位
+                tick = this.#rollback ? tick + 1 : this.#waitNextTick(tick);
+            }
+        } else {
+            this.#sequence = 0;
+        }
+        if (tick > this.#maxTick) throw new RangeError("Timestamp exceeds the bits available, choose a later epoch");
+        this.#lastTick = tick;
+        // 回拨期间的 tick 是沿用或借用的，只记录真实读到的时钟
+        this.#clockTick = Math.max(this.#clockTick, this.#rollback ? clockTick : tick);
+
+        const id = (BigInt(tick) << BigInt(this.#timeShift)) | (BigInt(this.#datacenterId) << BigInt(this.#datacenterShift)) | (BigInt(this.#workerId) << BigInt(this.#workerShift)) | (BigInt(this.#sequence) << BigInt(this.#sequenceShift));
+        return this.#output === "bigint" ? id : id.toString();
+    }
+
+    /**
+     * 按当前生成器的位布局解析 ID。
+     * @param {string | bigint | number} id - `nextId` 生成的 ID
+     * @returns {SnowflakeIdInfo}
+     */
+    decode(id) {
+        const value = BigInt(id);
+        if (value < 0n || value >= 1n << 63n) throw new RangeError(`Invalid snowflake id: ${id}`);
+        const field = (shift, bits) => Number((value >> BigInt(shift)) & ((1n << BigInt(bits)) - 1n));
+        return {
+            timestamp: this.#epoch + Number(value >> BigInt(this.#timeShift)) * this.#timeUnitMs,
+            datacenterId: field(this.#datacenterShift, this.#datacenterBits),
+            workerId: field(this.#workerShift, this.#workerBits),
+            sequence: field(this.#sequenceShift, this.#sequenceBits)
+        };
+    }
+
+    #currentTick() {
+        return Math.floor((Date.now() - this.#epoch) / this.#timeUnitMs);
+    }
+
+    /**
+     * 同步等待（自旋）到 `tick` 之后的时间单位。
+     * @param {number} tick
+     * @returns {number}
+     */
+    #waitNextTick(tick) {
+        let next = this.#currentTick();
+        while (next <= tick) {
+            next = this.#currentTick();
+        }
+        return next;
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * 日志级别，数值越大越严重；`silent` 表示不输出任何日志。
+ * @type {Readonly<Record<'debug'|'info'|'warn'|'error'|'silent', number>>}
+ */
+export const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: 100 });
+
+/**
+ * 一条结构化日志记录。
+ * @typedef {Object} LogRecord
+ * @property {'debug'|'info'|'warn'|'error'} level 日志级别
+ * @property {string} namespace 命名空间，如 "ws"、"evt"、"audio"
+ * @property {any[]} args 日志参数（与 console 方法的参数一致）
+ * @property {number} time 时间戳（毫秒）
+ */
+
+/**
+ * 日志记录器。
+ * @typedef {Object} Logger
+ * @property {string} namespace 命名空间
+ * @property {(...args: any[]) => void} debug
+ * @property {(...args: any[]) => void} info
+ * @property {(...args: any[]) => void} warn
+ * @property {(...args: any[]) => void} error
+ */
+
+/**
+ * 默认输出：写到 console，并以 `[namespace]` 作为前缀。
+ * @param {LogRecord} record
+ */
+function consoleSink({ level, namespace, args }) {
+    console[level](`[${namespace}]`, ...args);
+}
+
+const globalConfig = {
+    level: "warn",
+    levels: {},
+    sink: consoleSink
+};
+
+/**
+ * 是否为 LOG_LEVELS 中的级别名（不认原型链上的属性）。
+ * @param {*} level
+ * @returns {boolean}
+ */
+function isLogLevel(level) {
+    return typeof level === "string" && Object.prototype.hasOwnProperty.call(LOG_LEVELS, level);
+}
+
+/**
+ * 配置了未知级别名时给出警告，该配置被忽略。
+ * @param {string} where - 出错的配置项
+ * @param {*} level - 无效的级别名
+ */
+function warnUnknownLevel(where, level) {
+    if (LOG_LEVELS.warn < LOG_LEVELS[globalConfig.level]) return;
+    globalConfig.sink({ level: "warn", namespace: "logger", args: [`${where}的日志级别 "${level}" 无效，已忽略`], time: Date.now() });
+}
+
+/**
+ * 修改全局日志配置，影响所有未单独指定级别/输出的记录器（包括库内部使用的记录器）。
+ * 默认只输出 warn 与 error。
+ * 级别名无效时（包括 `level`、`levels` 中的各项）只给出警告并忽略该项，保留原有级别。
+ *
+ * @param {object} [options]
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} [options.level] - 全局最低输出级别
+ * @param {Record<string, 'debug'|'info'|'warn'|'error'|'silent'>} [options.levels] - 按命名空间覆盖的级别，会与已有配置合并
+ * @param {((record: LogRecord) => void) | null} [options.sink] - 日志输出函数；传 null 恢复为 console 输出
+ *
+ * @example
+ * configureLogger({ level: "silent" });                  // 生产环境完全静默
+ * configureLogger({ levels: { ws: "debug" } });          // 只打开 WebSocket 的调试日志
+ * configureLogger({ sink: (r) => report(r) });           // 接入自己的日志上报
+ */
+export function configureLogger({ level, levels, sink } = {}) {
+    if (level !== undefined) {
+        if (isLogLevel(level)) {
+            globalConfig.level = level;
+        } else {
+            warnUnknownLevel("全局", level);
+        }
+    }
+    if (levels) {
+        const next = { ...globalConfig.levels };
+        Object.keys(levels).forEach((namespace) => {
+            if (isLogLevel(levels[namespace])) {
+                next[namespace] = levels[namespace];
+            } else {
+                warnUnknownLevel(`命名空间 "${namespace}" `, levels[namespace]);
+            }
+        });
+        globalConfig.levels = next;
+    }
+    if (sink !== undefined) {
+        globalConfig.sink = typeof sink === "function" ? sink : consoleSink;
+    }
+}
+
+/**
+ * 创建指定命名空间的日志记录器。
+ * 级别判断在每次调用时进行，因此之后通过 `configureLogger` 修改的全局配置会立即生效。
+ *
+ * @param {string} namespace - 命名空间，如 "ws"、"evt"、"audio"
+ * @param {object} [options]
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} [options.level] - 该记录器的最低输出级别，优先于全局配置；无效的级别名会警告并被忽略
+ * @param {(record: LogRecord) => void} [options.sink] - 该记录器的输出函数，优先于全局配置
+ * @returns {Logger}
+ *
+ * @example
+ * const ws = new WebSocketManager(url, { logger: createLogger("ws:chat", { level: "debug" }) });
+ */
+export function createLogger(namespace, { level, sink } = {}) {
+    if (level !== undefined && !isLogLevel(level)) {
+        warnUnknownLevel(`记录器 "${namespace}" `, level);
+        level = undefined;
+    }
+    const write = (recordLevel, args) => {
+        const minLevel = level || globalConfig.levels[namespace] || globalConfig.level;
+        if (LOG_LEVELS[recordLevel] < LOG_LEVELS[minLevel]) return;
+        (sink || globalConfig.sink)({ level: recordLevel, namespace, args, time: Date.now() });
+    };
+    return {
+        namespace,
+        debug: (...args) => write("debug", args),
+        info: (...args) => write("info", args),
+        warn: (...args) => write("warn", args),
+        error: (...args) => write("error", args)
+    };
+}
@@ -0,0 +1,450 @@
+/**
+ * WAV 写入支持的采样格式：fmt 格式码、每个采样的字节数与对应的数组类型。
+ */
+const WAV_WRITE_FORMATS = {
+    int16: { formatTag: 1, bytesPerSample: 2, ArrayType: Int16Array },
+    float32: { formatTag: 3, bytesPerSample: 4, ArrayType: Float32Array },
+    alaw: { formatTag: 6, bytesPerSample: 1, ArrayType: Uint8Array },
+    mulaw: { formatTag: 7, bytesPerSample: 1, ArrayType: Uint8Array }
+};
+
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+let muLawTable = null;
+let aLawTable = null;
+
+/**
+ * G.711 μ-law 解码表（256 项，值为 16-bit 整数）。
+ * @returns {Int16Array}
+ */
+function getMuLawTable() {
+    if (!muLawTable) {
+        muLawTable = new Int16Array(256);
+        for (let i = 0; i < 256; i++) {
+            const u = ~i & 0xff;
+            const exponent = (u >> 4) & 0x07;
+            const sample = ((((u & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+            muLawTable[i] = u & 0x80 ? -sample : sample;
+        }
+    }
+    return muLawTable;
+}
+
+/**
+ * G.711 A-law 解码表（256 项，值为 16-bit 整数）。
+ * @returns {Int16Array}
+ */
+function getALawTable() {
+    if (!aLawTable) {
+        aLawTable = new Int16Array(256);
+        for (let i = 0; i < 256; i++) {
+            const a = i ^ 0x55;
+            const segment = (a & 0x70) >> 4;
+            let sample = (a & 0x0f) << 4;
+            if (segment === 0) sample += 8;
+            else sample = (sample + 0x108) << (segment - 1);
+            aLawTable[i] = a & 0x80 ? sample : -sample;
+        }
+    }
+    return aLawTable;
+}
+
+/**
+ * 根据 fmt 格式码与位深确定采样格式名称。
+ * @param {number} formatTag
+ * @param {number} bitsPerSample
+ * @returns {WavSampleFormat}
+ */
+function resolveSampleFormat(formatTag, bitsPerSample) {
+    if (formatTag === 1) {
+        const format = { 8: "uint8", 16: "int16", 24: "int24", 32: "int32" }[bitsPerSample];
+        if (format) return /** @type {WavSampleFormat} */ (format);
+    } else if (formatTag === 3) {
+        if (bitsPerSample === 32) return "float32";
+        if (bitsPerSample === 64) return "float64";
+    } else if (formatTag === 6 && bitsPerSample === 8) {
+        return "alaw";
+    } else if (formatTag === 7 && bitsPerSample === 8) {
+        return "mulaw";
+    }
+    throw new Error(`Unsupported WAV format: formatTag=${formatTag}, bitsPerSample=${bitsPerSample}`);
+}
+
+/**
+ * @typedef {'uint8'|'int16'|'int24'|'int32'|'float32'|'float64'|'mulaw'|'alaw'} WavSampleFormat
+ */
+
+/**
+ * WAV 解析结果。
+ * @typedef {Object} WavInfo
+ * @property {WavSampleFormat} format 采样格式
+ * @property {number} formatTag fmt 块中的格式码（WAVE_FORMAT_EXTENSIBLE 时为子格式的格式码）
+ * @property {number} sampleRate 采样率
+ * @property {number} channels 声道数
+ * @property {number} bitsPerSample 每个采样的位数（容器位深）
+ * @property {number} blockAlign 每帧字节数
+ * @property {number} [channelMask] WAVE_FORMAT_EXTENSIBLE 的声道掩码
+ * @property {number} frameCount 帧数（每帧含 channels 个采样）
+ * @property {number} duration 时长（秒）
+ * @property {Uint8Array} data data 块的原始字节（与输入共享内存）
+ */
+
+/**
+ * 解析 WAV 文件头，支持整数 PCM（8/16/24/32-bit）、浮点（32/64-bit）、μ-law、A-law
+ * 以及 WAVE_FORMAT_EXTENSIBLE 格式，多声道数据为交错排列。
+ *
+ * @param {ArrayBuffer | ArrayBufferView} input - WAV 文件内容
+ * @returns {WavInfo}
+ *
+ * @example
+ * const wav = parseWav(fs.readFileSync("a.wav"));
+ * const [left, right] = decodeWavSamples(wav);
+ */
+export function parseWav(input) {
+    const bytes = ArrayBuffer.isView(input) ? new Uint8Array(input.buffer, input.byteOffset, input.byteLength) : new Uint8Array(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const readString = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+    if (bytes.length < 12 || readString(0, 4) !== "RIFF" || readString(8, 4) !== "WAVE") {
+        throw new Error("Invalid WAV: missing RIFF/WAVE header");
+    }
+
+    let fmt = null;
+    let dataOffset = -1;
+    let dataLength = 0;
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const id = readString(offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+        if (id === "fmt ") {
+            fmt = {
+                formatTag: view.getUint16(body, true),
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                blockAlign: view.getUint16(body + 12, true),
+                bitsPerSample: view.getUint16(body + 14, true),
+                channelMask: undefined
+            };
+            if (fmt.formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 40) {
+                fmt.channelMask = view.getUint32(body + 20, true);
+                fmt.formatTag = view.getUint16(body + 24, true); // 子格式 GUID 的前两个字节
+            }
+        } else if (id === "data") {
+            dataOffset = body;
+            // 流式写出的文件 data 长度可能为 0 或 0xFFFFFFFF，此时取到文件末尾
+            dataLength = size === 0 || body + size > bytes.length ? bytes.length - body : size;
+            if (fmt) break;
+        }
+        offset = body + size + (size % 2);
+    }
+
+    if (!fmt) throw new Error("Invalid WAV: missing fmt chunk");
+    if (dataOffset < 0) throw new Error("Invalid WAV: missing data chunk");
+
+    const format = resolveSampleFormat(fmt.formatTag, fmt.bitsPerSample);
+    const blockAlign = fmt.blockAlign || (fmt.channels * fmt.bitsPerSample) / 8;
+    const frameCount = Math.floor(dataLength / blockAlign);
+    return {
+        format,
+        formatTag: fmt.formatTag,
+        sampleRate: fmt.sampleRate,
+        channels: fmt.channels,
+        bitsPerSample: fmt.bitsPerSample,
+        blockAlign,
+        channelMask: fmt.channelMask,
+        frameCount,
+        duration: frameCount / fmt.sampleRate,
+        data: bytes.subarray(dataOffset, dataOffset + frameCount * blockAlign)
+    };
+}
+
+/**
+ * 读取 Blob / File 并解析 WAV 文件头，见 `parseWav`。
+ *
+ * @param {Blob} blob - WAV 文件
+ * @returns {Promise<WavInfo>}
+ */
+export async function parseWavBlob(blob) {
+    return parseWav(await blob.arrayBuffer());
+}
+
+/**
+ * 把 WAV 的采样解码为每个声道一个 Float32Array（-1 ~ 1）。
+ *
+ * @param {WavInfo} wav - `parseWav` 的返回值
+ * @returns {Float32Array[]} 按声道分开的采样
+ */
+export function decodeWavSamples(wav) {
+    const { format, channels, frameCount, data } = wav;
+    const bytesPerSample = wav.blockAlign / channels;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const table = format === "mulaw" ? getMuLawTable() : format === "alaw" ? getALawTable() : null;
+    const read = {
+        uint8: (o) => (data[o] - 128) / 128,
+        int16: (o) => view.getInt16(o, true) / 32768,
+        int24: (o) => (((data[o] | (data[o + 1] << 8) | (data[o + 2] << 16)) << 8) >> 8) / 8388608,
+        int32: (o) => view.getInt32(o, true) / 2147483648,
+        float32: (o) => view.getFloat32(o, true),
+        float64: (o) => view.getFloat64(o, true),
+        mulaw: (o) => table[data[o]] / 32768,
+        alaw: (o) => table[data[o]] / 32768
+    }[format];
+
+    const result = Array.from({ length: channels }, () => new Float32Array(frameCount));
+    let offset = 0;
+    for (let i = 0; i < frameCount; i++) {
+        for (let c = 0; c < channels; c++) {
+            result[c][i] = read(offset);
+            offset += bytesPerSample;
+        }
+    }
+    return result;
+}
+
+/**
+ * 把多个声道的采样交错合并为一个数组（L R L R ...）。
+ *
+ * @template {Int16Array | Float32Array} T
+ * @param {T[]} channels - 每个声道一个数组，长度需一致
+ * @returns {T}
+ */
+export function interleavePcm(channels) {
+    const count = channels.length;
+    const frames = channels[0].length;
+    const output = new /** @type {any} */ (channels[0].constructor)(frames * count);
+    for (let c = 0; c < count; c++) {
+        const data = channels[c];
+        for (let i = 0; i < frames; i++) output[i * count + c] = data[i];
+    }
+    return output;
+}
+
+/**
+ * 把交错排列的多声道采样拆分为每个声道一个数组。
+ *
+ * @template {Int16Array | Float32Array} T
+ * @param {T} samples - 交错排列的采样
+ * @param {number} channels - 声道数
+ * @returns {T[]}
+ */
+export function deinterleavePcm(samples, channels) {
+    const frames = Math.floor(samples.length / channels);
+    const result = [];
+    for (let c = 0; c < channels; c++) {
+        const data = new /** @type {any} */ (samples.constructor)(frames);
+        for (let i = 0; i < frames; i++) data[i] = samples[i * channels + c];
+        result.push(data);
+    }
+    return result;
+}
+
+/**
+ * 16-bit 整数 PCM 转为 -1 ~ 1 的浮点采样。
+ *
+ * @param {Int16Array} samples
+ * @returns {Float32Array}
+ */
+export function int16ToFloat32(samples) {
+    const output = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) output[i] = samples[i] / 32768;
+    return output;
+}
+
+/**
+ * -1 ~ 1 的浮点采样转为 16-bit 整数 PCM，超出范围的值会被截断。
+ *
+ * @param {Float32Array} samples
+ * @returns {Int16Array}
+ */
+export function float32ToInt16(samples) {
+    const output = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        output[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    }
+    return output;
+}
+
+/**
+ * 拼接多段同类型的 PCM 数据。
+ *
+ * @template {Int16Array | Float32Array | Uint8Array} T
+ * @param {T[]} chunks - PCM 片段，类型需一致
+ * @returns {T} 拼接后的新数组；`chunks` 为空时返回空的 Int16Array
+ */
+export function concatPcm(chunks) {
+    const ArrayType = chunks.length ? chunks[0].constructor : Int16Array;
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const output = new /** @type {any} */ (ArrayType)(totalLength);
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+/**
+ * 按时间截取 PCM 数据，截取位置会对齐到帧。
+ *
+ * @template {Int16Array | Float32Array | Uint8Array} T
+ * @param {T} samples - PCM 数据，多声道时为交错排列
+ * @param {number} sampleRate - 采样率
+ * @param {object} [options]
+ * @param {number} [options.start=0] - 起始时间（秒）
+ * @param {number} [options.end] - 结束时间（秒），默认到末尾
+ * @param {number} [options.channels=1] - 声道数
+ * @returns {T} 截取后的新数组
+ *
+ * @example
+ * const middle = trimPcm(pcm, 16000, { start: 1.5, end: 3 });
+ */
+export function trimPcm(samples, sampleRate, { start = 0, end = Infinity, channels = 1 } = {}) {
+    const frames = Math.floor(samples.length / channels);
+    const startFrame = Math.min(frames, Math.max(0, Math.round(start * sampleRate)));
+    const endFrame = Math.min(frames, Math.max(startFrame, Math.round(end * sampleRate)));
+    return /** @type {T} */ (samples.slice(startFrame * channels, endFrame * channels));
+}
+
+/**
+ * 峰值归一化：整体乘以同一个增益，使最大绝对值达到 `peak`（相对满幅）。
+ *
+ * @template {Int16Array | Float32Array} T
+ * @param {T} samples - PCM 数据
+ * @param {object} [options]
+ * @param {number} [options.peak=0.99] - 目标峰值，相对满幅的比例（0 ~ 1）
+ * @param {number} [options.maxGain=Infinity] - 最大增益，避免把底噪放得过大
+ * @returns {T} 归一化后的新数组；全静音时原样复制
+ */
+export function normalizePcm(samples, { peak = 0.99, maxGain = Infinity } = {}) {
+    const fullScale = samples instanceof Int16Array ? 32767 : 1;
+    let max = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const v = Math.abs(samples[i]);
+        if (v > max) max = v;
+    }
+    const output = /** @type {T} */ (samples.slice());
+    if (max === 0) return output;
+    const gain = Math.min(maxGain, (peak * fullScale) / max);
+    for (let i = 0; i < output.length; i++) {
+        const v = samples[i] * gain;
+        output[i] = fullScale === 1 ? v : Math.max(-32768, Math.min(32767, Math.round(v)));
+    }
+    return output;
+}
+
+/**
+ * 生成 WAV 文件头。
+ *
+ * @param {object} options
+ * @param {number} options.sampleRate - 采样率
+ * @param {number} [options.channels=1] - 声道数
+ * @param {'int16'|'float32'|'mulaw'|'alaw'} [options.format='int16'] - 采样格式
+ * @param {number} options.dataLength - data 块的字节数
+ * @returns {ArrayBuffer}
+ */
+export function createWavHeader({ sampleRate, channels = 1, format = "int16", dataLength }) {
+    const wavFormat = WAV_WRITE_FORMATS[format];
+    if (!wavFormat) throw new RangeError(`Unknown PCM format: ${format}`);
+
+    const { formatTag, bytesPerSample } = wavFormat;
+    const isPcm = formatTag === 1;
+    // 非整数 PCM 格式需要 18 字节的 fmt 块（含 cbSize）与 fact 块
+    const fmtSize = isPcm ? 16 : 18;
+    const headerSize = 12 + (8 + fmtSize) + (isPcm ? 0 : 12) + 8;
+    const blockAlign = channels * bytesPerSample;
+
+    const buffer = new ArrayBuffer(headerSize);
+    const view = new DataView(buffer);
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+    writeString(0, "RIFF");
+    view.setUint32(4, headerSize - 8 + dataLength + (dataLength % 2), true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, fmtSize, true);
+    view.setUint16(20, formatTag, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    let offset = 36;
+    if (!isPcm) {
+        view.setUint16(36, 0, true); // cbSize
+        writeString(38, "fact");
+        view.setUint32(42, 4, true);
+        view.setUint32(46, Math.floor(dataLength / blockAlign), true);
+        offset = 50;
+    }
+    writeString(offset, "data");
+    view.setUint32(offset + 4, dataLength, true);
+    return buffer;
+}
+
+/**
+ * 把多段 PCM 数据编码为一个 WAV Blob。
+ * 各片段分别作为 Blob 的组成部分，不会先拼接成一个完整的大缓冲区，适合长时间录音。
+ * 采样格式默认根据第一段的数组类型推断（Int16Array → 16-bit PCM，Float32Array → 32-bit 浮点），
+ * μ-law / A-law 数据（Uint8Array）需显式指定 `format`。
+ * 头部位深由 `format` 决定，因此每段数据的数组类型必须与之一致（int16 → Int16Array，float32 → Float32Array，mulaw / alaw → Uint8Array），
+ * 不一致（例如以 Uint8Array 或 ArrayBuffer 传入 16-bit 字节）时抛出 TypeError，避免生成与数据不符的文件头。
+ *
+ * @param {Iterable<Int16Array | Float32Array | Uint8Array>} chunks - PCM 片段，多声道时为交错排列
+ * @param {object} [options]
+ * @param {number} [options.sampleRate=16000] - 采样率
+ * @param {number} [options.channels=1] - 声道数
+ * @param {'int16'|'float32'|'mulaw'|'alaw'} [options.format] - 采样格式
+ * @returns {Blob} audio/wav Blob
+ * @throws {TypeError} 片段的数组类型与 `format` 不一致
+ *
+ * @example
+ * const blob = encodeWavChunks(recordedChunks, { sampleRate: 16000 });
+ */
+export function encodeWavChunks(chunks, { sampleRate = 16000, channels = 1, format } = {}) {
+    const parts = [];
+    let dataLength = 0;
+    for (const chunk of chunks) {
+        if (!format) {
+            if (chunk instanceof Int16Array) format = "int16";
+            else if (chunk instanceof Float32Array) format = "float32";
+            else throw new TypeError("encodeWavChunks: format is required for 8-bit data (mulaw / alaw)");
+        }
+        const wavFormat = WAV_WRITE_FORMATS[format];
+        if (!wavFormat) throw new RangeError(`Unknown PCM format: ${format}`);
+        if (!(chunk instanceof wavFormat.ArrayType)) {
+            const actual = chunk && chunk.constructor ? chunk.constructor.name : typeof chunk;
+            throw new TypeError(`encodeWavChunks: format "${format}" expects ${wavFormat.ArrayType.name} data, got ${actual}`);
+        }
+        parts.push(toLittleEndianBytes(chunk));
+        dataLength += chunk.byteLength;
+    }
+    if (dataLength % 2) parts.push(new Uint8Array(1));
+    return new Blob([createWavHeader({ sampleRate, channels, format: format || "int16", dataLength }), ...parts], {
+        type: "audio/wav"
+    });
+}
+
+/**
+ * 获取采样数组的小端字节表示。
+ * @param {Int16Array | Float32Array | Uint8Array} chunk
+ * @returns {Uint8Array}
+ */
+function toLittleEndianBytes(chunk) {
+    if (chunk.BYTES_PER_ELEMENT === 1 || IS_LITTLE_ENDIAN) {
+        return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+    const bytes = new Uint8Array(chunk.byteLength);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < chunk.length; i++) {
+        if (chunk instanceof Int16Array) view.setInt16(i * 2, chunk[i], true);
+        else view.setFloat32(i * 4, chunk[i], true);
+    }
+    return bytes;
+}
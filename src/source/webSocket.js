@@ -1,16 +1,183 @@
+import { createLogger } from "./logger.js";
+
+/**
+ * WebSocket readyState 常量。
+ * 不直接读取全局 WebSocket 上的静态属性，以便在没有全局 WebSocket 的环境（Node、测试）中使用。
+ */
+const WS_READY_STATE = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+/**
+ * 基于 document 的页面可见性来源；非浏览器主线程环境下返回 null。
+ * @returns {{ isHidden: () => boolean, subscribe: (onChange: () => void) => () => void } | null}
+ */
+function createDocumentVisibilitySource() {
+    if (typeof document === "undefined") return null;
+    return {
+        isHidden: () => document.hidden,
+        subscribe(onChange) {
+            document.addEventListener("visibilitychange", onChange);
+            return () => document.removeEventListener("visibilitychange", onChange);
+        }
+    };
+}
+
+/**
+ * 基于全局对象 online/offline 事件的网络状态来源（window 与 Web Worker 均可用）；不支持时返回 null。
+ * @returns {{ subscribe: (onOnline: () => void, onOffline: () => void) => () => void } | null}
+ */
+function createGlobalNetworkSource() {
+    if (typeof globalThis.addEventListener !== "function") return null;
+    return {
+        subscribe(onOnline, onOffline) {
+            globalThis.addEventListener("online", onOnline);
+            globalThis.addEventListener("offline", onOffline);
+            return () => {
+                globalThis.removeEventListener("online", onOnline);
+                globalThis.removeEventListener("offline", onOffline);
+            };
+        }
+    };
+}
+
+/**
+ * 估算一条消息在线路上的字节数：字符串按 UTF-8 计算，二进制取 byteLength/size。
+ * @param {*} data
+ * @returns {number}
+ */
+function getByteLength(data) {
+    if (typeof data === "string") {
+        return typeof TextEncoder !== "undefined" ? new TextEncoder().encode(data).length : data.length;
+    }
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+    if (typeof Blob !== "undefined" && data instanceof Blob) return data.size;
+    return 0;
+}
+
+/**
+ * drop-oldest 溢出策略要丢弃的位置：优先级最低的消息中最旧的一条
+ * @param {{ priority: number }[]} queue - 按入队先后排列的队列
+ * @returns {number}
+ */
+function findDropOldestIndex(queue) {
+    let dropIndex = 0;
+    queue.forEach((item, index) => {
+        if (item.priority < queue[dropIndex].priority) dropIndex = index;
+    });
+    return dropIndex;
+}
+
+/**
+ * 创建带 `code` 的错误对象，供调用方区分失败原因。
+ * @param {string} code - 错误代码，如 `TIMEOUT`、`CLOSED`
+ * @param {string} message - 错误描述
+ * @returns {Error & { code: string }}
+ */
+function createWebSocketError(code, message) {
+    const error = new Error(`[WS] ${message}`);
+    error.name = "WebSocketManagerError";
+    error.code = code;
+    return error;
+}
+
+/**
+ * 把字符串或二进制数据解码为文本
+ * @param {string|ArrayBuffer|ArrayBufferView} raw
+ * @returns {string}
+ */
+function decodeText(raw) {
+    if (typeof raw === "string") return raw;
+    if (raw instanceof ArrayBuffer || ArrayBuffer.isView(raw)) return new TextDecoder().decode(raw);
+    throw new TypeError("无法解码为文本，二进制消息请设置 binaryType 为 'arraybuffer'");
+}
+
+/**
+ * 创建 JSON 编解码器：发送时 `JSON.stringify`，接收时 `JSON.parse`（二进制消息按 UTF-8 解码后再解析）。
+ * @returns {{ encode: (data: *) => string, decode: (raw: *) => * }}
+ */
+export function createJsonCodec() {
+    return {
+        encode: (data) => JSON.stringify(data),
+        decode: (raw) => JSON.parse(decodeText(raw))
+    };
+}
+
+/**
+ * 创建文本编解码器：发送时转为字符串，接收时统一解码为字符串。
+ * @returns {{ encode: (data: *) => string, decode: (raw: *) => string }}
+ */
+export function createTextCodec() {
+    return {
+        encode: (data) => (typeof data === "string" ? data : String(data)),
+        decode: (raw) => decodeText(raw)
+    };
+}
+
+/**
+ * 创建二进制长度前缀帧编解码器，适合传输音频 PCM 等二进制负载。
+ * 帧格式：`[4 字节无符号整数：头部长度][UTF-8 JSON 头部][负载字节]`。
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.littleEndian=false] - 头部长度是否使用小端字节序
+ * @returns {{ binaryType: 'arraybuffer', encode: (frame: { header?: *, payload?: ArrayBuffer|ArrayBufferView } | ArrayBuffer | ArrayBufferView) => ArrayBuffer, decode: (raw: ArrayBuffer) => { header: *, payload: ArrayBuffer } }}
+ *
+ * @example
+ * const ws = new WebSocketManager(url, { codec: createBinaryFrameCodec() });
+ * resampler.onData = (chunk) => ws.send({ header: { type: "pcm", seq: seq++ }, payload: chunk }); // chunk 为 Int16Array
+ * ws.on("message", ({ header, payload }) => console.log(header, new Int16Array(payload)));
+ */
+export function createBinaryFrameCodec({ littleEndian = false } = {}) {
+    const toBytes = (data) => {
+        if (data === undefined || data === null) return new Uint8Array(0);
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        throw new TypeError("二进制帧的 payload 必须是 ArrayBuffer 或 TypedArray");
+    };
+
+    return {
+        binaryType: "arraybuffer",
+        encode(frame) {
+            const { header = null, payload } = frame instanceof ArrayBuffer || ArrayBuffer.isView(frame) ? { payload: frame } : frame || {};
+            const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+            const payloadBytes = toBytes(payload);
+            const buffer = new ArrayBuffer(4 + headerBytes.length + payloadBytes.length);
+            const bytes = new Uint8Array(buffer);
+            new DataView(buffer).setUint32(0, headerBytes.length, littleEndian);
+            bytes.set(headerBytes, 4);
+            bytes.set(payloadBytes, 4 + headerBytes.length);
+            return buffer;
+        },
+        decode(raw) {
+            if (!(raw instanceof ArrayBuffer) && !ArrayBuffer.isView(raw)) {
+                throw new TypeError("二进制帧解码需要 ArrayBuffer，请设置 binaryType 为 'arraybuffer'");
+            }
+            const bytes = toBytes(raw);
+            if (bytes.length < 4) throw new RangeError("二进制帧长度不足 4 字节");
+            const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, littleEndian);
+            if (4 + headerLength > bytes.length) throw new RangeError(`二进制帧头部长度 ${headerLength} 超出帧长度 ${bytes.length}`);
+            const header = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + headerLength)));
+            const payload = bytes.slice(4 + headerLength).buffer;
+            return { header, payload };
+        }
+    };
+}
+
 /**
  * @class WebSocketManager - 一个纯粹、强大的 WebSocket 连接管理引擎
  *
  * @features
- * - 智能断线重连 (指数退避算法)
+ * - 智能断线重连 (可选退避策略与抖动、按关闭代码跳过重连、重连前刷新地址/令牌)
  * - 网络状态监听
  * - 高度可定制的心跳保活机制 (通过注入函数实现)
  * - 页面可见性 API 集成
- * - 消息发送队列
+ * - 消息发送队列（容量上限、溢出策略、优先级、过期时间、可选持久化）
  * - 清晰的生命周期管理
  * - 优雅的资源销毁
- * - 可配置的数据序列化/反序列化
+ * - 可插拔的消息编解码器（JSON、文本、二进制长度前缀帧或自定义），解码失败触发 `decode-error` 事件
  * - 纯粹的消息传递，不关心消息内容
+ * - 请求/响应（RPC）模式：自动关联请求 ID，支持超时与断线重发
+ * - 主题订阅：按主题路由消息，重连后自动重新订阅
+ * - 可注入 WebSocket 实现与运行环境，可运行于浏览器、Web Worker、Node 及单元测试
+ * - 连接指标：心跳往返延迟、收发消息数与字节数、在线时长、重连历史
  */
 export class WebSocketManager {
     /**
@@ -21,12 +188,37 @@ export class WebSocketManager {
      * @param {number} [options.reconnectBaseInterval=1000] - 重连基础间隔 (毫秒)
      * @param {number} [options.maxReconnectInterval=30000] - 最大重连间隔 (毫秒)
      * @param {number} [options.maxReconnectAttempts=Infinity] - 最大重连次数
+     * @param {'exponential'|'full-jitter'|'decorrelated-jitter'|'linear'|'fixed'|function} [options.reconnectStrategy='exponential'] - 重连间隔策略：指数退避 / 指数退避 + 全抖动 / 去相关抖动 / 线性 / 固定；也可传入 `(attempt, context) => ms` 自定义，context 为 `{ baseInterval, maxInterval, previousInterval, closeEvent }`
+     * @param {number[]} [options.noReconnectCloseCodes=[]] - 命中这些关闭代码时不再自动重连（如 4001 鉴权失败）
+     * @param {function|null} [options.shouldReconnect=null] - 自定义是否重连 `(closeEvent) => boolean`，在 noReconnectCloseCodes 之后判断；抛错时记录日志并按默认规则重连
+     * @param {function|null} [options.beforeReconnect=null] - 每次重连前调用 `({ attempt, url, closeEvent }) => string|void|Promise`，可用于刷新令牌；返回非空字符串时作为新的连接地址；抛错或 reject 时触发 `error` 事件并沿用当前地址重连
      * @param {boolean} [options.autoConnect=true] - 是否在实例化后自动连接
      * @param {boolean} [options.serializeData=false] - 发送数据时是否自动序列化为JSON字符串
-     * @param {boolean} [options.deserializeData=false] - 接收数据时是否自动反序列化为JSON对象
+     * @param {boolean} [options.deserializeData=false] - 接收数据时是否自动反序列化为JSON对象；解析失败时触发 `decode-error` 并交出原始数据
+     * @param {{ encode: function(*): *, decode: function(*, MessageEvent): *, binaryType?: BinaryType }|null} [options.codec=null] - 消息编解码器，设置后取代 serializeData/deserializeData；decode 抛错时触发 `decode-error` 并丢弃该消息
+     * @param {'blob'|'arraybuffer'} [options.binaryType] - WebSocket 接收二进制数据的类型，默认取 codec.binaryType，都未设置时保持 WebSocket 默认值
      * @param {function|null} [options.getPingMessage=null] - 返回要发送的 ping 消息内容的函数。如果为 null，则不发送心跳。
      * @param {function|null} [options.isPongMessage=null] - 判断接收到的消息是否为 pong 的函数。接收 MessageEvent 对象作为参数，返回布尔值。
      * @param {object} [options.protocols] - WebSocket 协议
+     * @param {number} [options.requestTimeout=10000] - request 默认超时时间 (毫秒)
+     * @param {boolean} [options.retryRequestsOnReconnect=true] - 连接断开时已发出但未收到响应的请求，是否在重连成功后重发；为 false 时直接以 CLOSED 错误拒绝
+     * @param {function|null} [options.setRequestId=null] - 把关联 ID 写入请求消息的函数 `(payload, id) => message`，默认浅拷贝 payload 并写入 `id` 字段
+     * @param {function|null} [options.getResponseId=null] - 从收到的消息中读取关联 ID 的函数 `(data, event) => id`，默认读取对象的 `id` 字段；返回 undefined 表示不是响应消息。ID 按字符串比较，服务端回传 `"1"` 也能匹配数字 ID `1`
+     * @param {function|null} [options.buildSubscribeMessage=null] - 生成订阅帧的函数 `(topic) => message`，默认 `{ type: "subscribe", topic }`
+     * @param {function|null} [options.buildUnsubscribeMessage=null] - 生成取消订阅帧的函数 `(topic) => message`，默认 `{ type: "unsubscribe", topic }`
+     * @param {function|null} [options.getMessageTopic=null] - 从收到的消息中提取主题的函数 `(data, event) => topic`，默认读取对象的 `topic` 字段
+     * @param {number} [options.maxQueueSize=Infinity] - 发送队列最大长度
+     * @param {'drop-oldest'|'drop-newest'|'reject'} [options.queueOverflowPolicy='drop-oldest'] - 队列满时的策略：丢弃优先级最低的最旧消息 / 丢弃新消息 / 抛出 QUEUE_FULL 错误
+     * @param {number} [options.messageTTL=0] - 入队消息的默认有效期 (毫秒)，≤0 表示永不过期
+     * @param {object|null} [options.queueStorage=null] - 队列持久化适配器，需实现 `getItem(key)`、`setItem(key, value)`、`removeItem(key)`，可同步（如 localStorage）也可返回 Promise（如基于 IndexedDB 的封装）。二进制消息不会被持久化
+     * @param {string} [options.queueStorageKey] - 持久化使用的键名，默认 `___ws-queue-${url}___`
+     * @param {Function} [options.WebSocket] - WebSocket 构造函数 `new (url, protocols)`，默认使用全局 WebSocket；Node 中可传入 `ws` 包，测试中可传入假实现
+     * @param {object|null} [options.visibilitySource] - 页面可见性来源 `{ isHidden(): boolean, subscribe(onChange): unsubscribe }`，默认基于 document；传 null 表示不监听
+     * @param {object|null} [options.networkSource] - 网络状态来源 `{ subscribe(onOnline, onOffline): unsubscribe }`，默认基于全局 online/offline 事件；传 null 表示不监听
+     * @param {number} [options.statsInterval=0] - 周期性触发 `stats` 事件的间隔 (毫秒)，≤0 表示不触发
+     * @param {number} [options.latencySampleSize=100] - 用于计算平均值与 p95 的最近延迟样本数
+     * @param {number} [options.reconnectHistorySize=20] - 保留的最近重连记录条数
+     * @param {import("./logger.js").Logger} [options.logger] - 日志记录器，默认 `createLogger("ws")`，输出级别由 `configureLogger` 控制
      */
     constructor(url, options = {}) {
         this.url = url;
@@ -42,40 +234,98 @@ export class WebSocketManager {
             }
         };
 
+        // 默认的请求 ID 读写实现
+        const defaultSetRequestId = (payload, id) => ({ ...payload, id });
+        const defaultGetResponseId = (data) => (data !== null && typeof data === "object" ? data.id : undefined);
+
+        // 默认的订阅帧与主题提取实现
+        const defaultBuildSubscribeMessage = (topic) => ({ type: "subscribe", topic });
+        const defaultBuildUnsubscribeMessage = (topic) => ({ type: "unsubscribe", topic });
+        const defaultGetMessageTopic = (data) => (data !== null && typeof data === "object" ? data.topic : undefined);
+
         this.options = {
             heartbeatInterval: 30000,
             heartbeatTimeout: 10000,
             reconnectBaseInterval: 1000,
             maxReconnectInterval: 30000,
             maxReconnectAttempts: Infinity,
+            reconnectStrategy: "exponential",
+            noReconnectCloseCodes: [],
+            shouldReconnect: null,
+            beforeReconnect: null,
             autoConnect: true,
             serializeData: false,
             deserializeData: false,
+            codec: null,
+            binaryType: undefined,
             getPingMessage: defaultGetPingMessage, // 默认提供 ping 消息生成器
             isPongMessage: defaultIsPongMessage, // 默认提供 pong 消息判断器
+            requestTimeout: 10000,
+            retryRequestsOnReconnect: true,
+            setRequestId: defaultSetRequestId,
+            getResponseId: defaultGetResponseId,
+            buildSubscribeMessage: defaultBuildSubscribeMessage,
+            buildUnsubscribeMessage: defaultBuildUnsubscribeMessage,
+            getMessageTopic: defaultGetMessageTopic,
+            maxQueueSize: Infinity,
+            queueOverflowPolicy: "drop-oldest",
+            messageTTL: 0,
+            queueStorage: null,
+            queueStorageKey: `___ws-queue-${url}___`,
+            WebSocket: globalThis.WebSocket,
+            visibilitySource: createDocumentVisibilitySource(),
+            networkSource: createGlobalNetworkSource(),
+            statsInterval: 0,
+            latencySampleSize: 100,
+            reconnectHistorySize: 20,
+            logger: createLogger("ws"),
             ...options
         };
+        this.logger = this.options.logger;
+        this.options.setRequestId = this.options.setRequestId || defaultSetRequestId;
+        this.options.getResponseId = this.options.getResponseId || defaultGetResponseId;
+        this.options.buildSubscribeMessage = this.options.buildSubscribeMessage || defaultBuildSubscribeMessage;
+        this.options.buildUnsubscribeMessage = this.options.buildUnsubscribeMessage || defaultBuildUnsubscribeMessage;
+        this.options.getMessageTopic = this.options.getMessageTopic || defaultGetMessageTopic;
 
         // WebSocket 实例
         this.ws = null;
 
+        // 环境监听的卸载函数
+        this._unsubscribeEnvironment = [];
+
         // 状态管理
-        this.readyState = WebSocket.CLOSED;
+        this.readyState = WS_READY_STATE.CLOSED;
         this.reconnectAttempts = 0;
         this.forcedClose = false;
         this.isReconnecting = false;
+        this.isDestroyed = false;
+        this.lastReconnectInterval = 0;
+        this.lastCloseEvent = null;
 
         // 定时器
         this.heartbeatTimer = null;
         this.heartbeatTimeoutTimer = null;
         this.reconnectTimer = null;
+        this.statsTimer = null;
 
-        // 消息队列
+        // 消息队列：[{ data, priority, expiresAt }]，按入队先后排列
         this.messageQueue = [];
 
+        // 等待响应的请求：String(id) -> { message, resolve, reject, timer, sent }
+        this.pendingRequests = new Map();
+        this.requestSeq = 0;
+
+        // 主题订阅：topic -> Set<handler>
+        this.subscriptions = new Map();
+
         // 事件监听器
         this.listeners = new Map();
 
+        // 连接指标
+        this.pingSentAt = 0;
+        this.resetStats();
+
         // 绑定方法上下文
         this._onOpen = this._onOpen.bind(this);
         this._onMessage = this._onMessage.bind(this);
@@ -86,6 +336,11 @@ export class WebSocketManager {
         this._handleOffline = this._handleOffline.bind(this);
 
         this._setupEventListeners();
+        this._restoreMessageQueue();
+
+        if (this.options.statsInterval > 0) {
+            this.statsTimer = setInterval(() => this._emit("stats", this.getStats()), this.options.statsInterval);
+        }
 
         if (this.options.autoConnect) {
             this.connect();
@@ -98,46 +353,205 @@ export class WebSocketManager {
      * 连接到 WebSocket 服务器
      */
     connect() {
-        if (this.ws && (this.ws.readyState === WebSocket.CONNECTING || this.ws.readyState === WebSocket.OPEN)) {
+        if (this.ws && (this.ws.readyState === WS_READY_STATE.CONNECTING || this.ws.readyState === WS_READY_STATE.OPEN)) {
             return;
         }
 
         this.forcedClose = false;
-        this._updateReadyState(WebSocket.CONNECTING);
-        console.log(`[WS] 正在连接到 ${this.url}...`);
+        this._updateReadyState(WS_READY_STATE.CONNECTING);
+        this.logger.info(`正在连接到 ${this.url}...`);
         this._emit("connecting");
 
         try {
-            this.ws = new WebSocket(this.url, this.options.protocols);
+            const WebSocketImpl = this.options.WebSocket;
+            if (typeof WebSocketImpl !== "function") {
+                throw new TypeError("当前环境没有可用的 WebSocket 实现，请通过 options.WebSocket 传入");
+            }
+            this.ws = new WebSocketImpl(this.url, this.options.protocols);
+            const binaryType = this.options.binaryType || (this.options.codec && this.options.codec.binaryType);
+            if (binaryType) {
+                this.ws.binaryType = binaryType;
+            }
             this.ws.onopen = this._onOpen;
             this.ws.onmessage = this._onMessage;
             this.ws.onclose = this._onClose;
             this.ws.onerror = this._onError;
         } catch (error) {
-            console.error("[WS] 连接失败:", error);
+            this.logger.error("连接失败:", error);
             this._onError(error);
         }
     }
 
     /**
-     * 发送数据
+     * 发送数据。连接未打开时加入发送队列，连接建立后按优先级从高到低、同优先级先进先出发送。
      * @param {string|object|ArrayBuffer|Blob} data - 要发送的数据
+     * @param {object} [sendOptions] - 仅在入队时生效的选项
+     * @param {number} [sendOptions.priority=0] - 优先级，数值越大越先发送
+     * @param {number} [sendOptions.ttl] - 有效期 (毫秒)，默认取 `options.messageTTL`；过期的消息不会再发送
+     * @throws {Error} 队列已满且 `queueOverflowPolicy` 为 `reject` 时抛出，`code` 为 `QUEUE_FULL`
      */
-    send(data) {
-        if (this.readyState === WebSocket.OPEN) {
-            let message;
-            // 根据配置决定是否序列化数据
-            if (this.options.serializeData) {
-                message = JSON.stringify(data);
-            } else {
-                message = data;
+    send(data, { priority = 0, ttl = this.options.messageTTL } = {}) {
+        if (this.readyState === WS_READY_STATE.OPEN) {
+            this._transmit(data);
+        } else {
+            this.logger.debug("连接未打开，消息已加入队列:", data);
+            this._enqueue({ data, priority, expiresAt: ttl > 0 ? Date.now() + ttl : 0 });
+        }
+    }
+
+    /**
+     * 清空发送队列（同时清除持久化存储中的队列）
+     */
+    clearMessageQueue() {
+        this.messageQueue = [];
+        this._persistMessageQueue();
+    }
+
+    /**
+     * 以请求/响应模式发送消息：自动写入关联 ID，返回在收到匹配响应时 resolve 的 Promise。
+     * - 连接未打开时，请求会等待连接建立（含重连）后、在消息队列之后发出
+     * - 超时、主动关闭、销毁或放弃重连时 reject，错误对象的 `code` 分别为 `TIMEOUT`、`CLOSED`、`DESTROYED`、`RECONNECT_FAILED`
+     * - 匹配到的响应消息不会再触发 `message` 事件
+     *
+     * @param {*} payload - 请求内容，会交给 `options.setRequestId` 写入关联 ID
+     * @param {object} [requestOptions] - 本次请求的选项
+     * @param {number} [requestOptions.timeout] - 超时时间 (毫秒)，默认取 `options.requestTimeout`；≤0 表示不超时
+     * @returns {Promise<*>} 响应数据（与 `message` 事件收到的数据一致）
+     */
+    request(payload, { timeout = this.options.requestTimeout } = {}) {
+        if (this.isDestroyed) {
+            return Promise.reject(this._createError("DESTROYED", "实例已销毁"));
+        }
+
+        const id = ++this.requestSeq;
+        const message = this.options.setRequestId(payload, id);
+
+        const key = String(id);
+
+        return new Promise((resolve, reject) => {
+            const pending = { message, resolve, reject, timer: null, sent: false };
+            if (timeout > 0) {
+                pending.timer = setTimeout(() => {
+                    this._rejectRequest(key, this._createError("TIMEOUT", `请求 ${id} 超时 (${timeout}ms)`));
+                }, timeout);
+            }
+            this.pendingRequests.set(key, pending);
+
+            if (this.readyState === WS_READY_STATE.OPEN) {
+                try {
+                    this._sendPendingRequest(pending);
+                } catch (error) {
+                    // 编码失败或队列已满（reject 策略）时同步抛错，不能让记录和定时器留到超时
+                    this._rejectRequest(key, error);
+                }
+            } else if (this.forcedClose) {
+                this._rejectRequest(key, this._createError("CLOSED", "连接已关闭"));
+            }
+        });
+    }
+
+    /**
+     * 订阅主题。同一主题首次订阅时向服务端发送订阅帧，之后每次连接建立（含重连）都会自动重新订阅。
+     * 主题匹配到订阅者的消息会交给对应 handler，不再触发 `message` 事件。
+     *
+     * @param {string} topic - 主题
+     * @param {function(*, MessageEvent): void} handler - 收到该主题消息时的回调，参数为 (data, event)
+     * @returns {function(): void} 取消本次订阅的函数
+     */
+    subscribe(topic, handler) {
+        if (typeof handler !== "function") {
+            throw new TypeError("WebSocketManager.subscribe: handler 必须是函数");
+        }
+
+        let handlers = this.subscriptions.get(topic);
+        if (!handlers) {
+            handlers = new Set();
+            this.subscriptions.set(topic, handlers);
+            if (this.readyState === WS_READY_STATE.OPEN) {
+                this.send(this.options.buildSubscribeMessage(topic));
             }
-            this.ws.send(message);
-            console.log("[WS] 消息已发送:", message);
+        }
+        handlers.add(handler);
+
+        return () => this.unsubscribe(topic, handler);
+    }
+
+    /**
+     * 取消订阅。主题下没有任何 handler 时向服务端发送取消订阅帧。
+     *
+     * @param {string} topic - 主题
+     * @param {function} [handler] - 要移除的回调；不传则移除该主题下的全部回调
+     */
+    unsubscribe(topic, handler) {
+        const handlers = this.subscriptions.get(topic);
+        if (!handlers) return;
+
+        if (handler) {
+            handlers.delete(handler);
         } else {
-            console.warn("[WS] 连接未打开，消息已加入队列:", data);
-            this.messageQueue.push(data);
+            handlers.clear();
         }
+
+        if (handlers.size === 0) {
+            this.subscriptions.delete(topic);
+            if (this.readyState === WS_READY_STATE.OPEN) {
+                this.send(this.options.buildUnsubscribeMessage(topic));
+            }
+        }
+    }
+
+    /**
+     * 获取当前连接指标快照
+     * @returns {{
+     *   readyState: number,
+     *   latency: { last: number|null, avg: number|null, p95: number|null, min: number|null, max: number|null, samples: number },
+     *   messagesSent: number, messagesReceived: number, bytesSent: number, bytesReceived: number,
+     *   connectedAt: number|null, uptime: number, totalUptime: number, connectCount: number,
+     *   reconnectHistory: Array<{ attempt: number, interval: number, at: number, closeCode?: number, closeReason?: string }>
+     * }} 延迟与时长单位为毫秒
+     */
+    getStats() {
+        const m = this.metrics;
+        const samples = m.latencySamples;
+        const sorted = [...samples].sort((a, b) => a - b);
+        const uptime = m.connectedAt ? Date.now() - m.connectedAt : 0;
+        return {
+            readyState: this.readyState,
+            latency: {
+                last: samples.length ? samples[samples.length - 1] : null,
+                avg: samples.length ? samples.reduce((sum, v) => sum + v, 0) / samples.length : null,
+                p95: sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)] : null,
+                min: sorted.length ? sorted[0] : null,
+                max: sorted.length ? sorted[sorted.length - 1] : null,
+                samples: samples.length
+            },
+            messagesSent: m.messagesSent,
+            messagesReceived: m.messagesReceived,
+            bytesSent: m.bytesSent,
+            bytesReceived: m.bytesReceived,
+            connectedAt: m.connectedAt,
+            uptime,
+            totalUptime: m.totalUptime + uptime,
+            connectCount: m.connectCount,
+            reconnectHistory: m.reconnectHistory.map((item) => ({ ...item }))
+        };
+    }
+
+    /**
+     * 重置连接指标（当前连接的建立时间保留）
+     */
+    resetStats() {
+        this.metrics = {
+            latencySamples: [],
+            messagesSent: 0,
+            messagesReceived: 0,
+            bytesSent: 0,
+            bytesReceived: 0,
+            connectedAt: this.metrics ? this.metrics.connectedAt : null,
+            totalUptime: 0,
+            connectCount: 0,
+            reconnectHistory: []
+        };
     }
 
     /**
@@ -149,10 +563,11 @@ export class WebSocketManager {
         this.forcedClose = true;
         this._stopHeartbeat();
         this._clearReconnectTimer();
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this._rejectAllRequests("CLOSED", `连接已关闭: ${reason}`);
+        if (this.ws && this.ws.readyState === WS_READY_STATE.OPEN) {
             this.ws.close(code, reason);
         } else {
-            this._updateReadyState(WebSocket.CLOSED);
+            this._updateReadyState(WS_READY_STATE.CLOSED);
             this._emit("close", { code, reason, wasClean: true });
         }
     }
@@ -161,17 +576,25 @@ export class WebSocketManager {
      * 彻底销毁实例，清理所有资源
      */
     destroy() {
-        console.log("[WS] 正在销毁实例...");
+        this.logger.info("正在销毁实例...");
+        this.isDestroyed = true;
+        this._rejectAllRequests("DESTROYED", "实例已销毁");
         this.close(1000, "Instance destroyed");
         this._removeEventListeners();
+        if (this.statsTimer) {
+            clearInterval(this.statsTimer);
+            this.statsTimer = null;
+        }
+        // 仅清空内存队列，持久化存储中的消息保留给下一个实例
         this.messageQueue = [];
+        this.subscriptions.clear();
         this.listeners.clear();
         this.ws = null;
     }
 
     /**
      * 添加事件监听器
-     * @param {string} eventName - 事件名 (e.g., 'open', 'message', 'close', 'error', 'reconnect')
+     * @param {string} eventName - 事件名 (e.g., 'open', 'message', 'close', 'error', 'reconnect-attempt', 'reconnect-failed', 'reconnect-skipped', 'queue-drop', 'decode-error', 'stats')
      * @param {function} callback - 回调函数
      */
     on(eventName, callback) {
@@ -199,17 +622,22 @@ export class WebSocketManager {
     // --- 内部方法 ---
 
     _onOpen(event) {
-        console.log("[WS] 连接已建立");
-        this._updateReadyState(WebSocket.OPEN);
+        this.logger.info("连接已建立");
+        this._updateReadyState(WS_READY_STATE.OPEN);
         this.reconnectAttempts = 0;
         this.isReconnecting = false;
+        this.lastReconnectInterval = 0;
+        this.metrics.connectedAt = Date.now();
+        this.metrics.connectCount++;
 
         // 如果配置了 getPingMessage，则启动心跳
         if (this.options.getPingMessage) {
             this._startHeartbeat();
         }
 
+        this._resubscribeAll();
         this._flushMessageQueue();
+        this._flushPendingRequests();
         this._emit("open", event);
     }
 
@@ -218,38 +646,67 @@ export class WebSocketManager {
      * @param {MessageEvent} event
      */
     _onMessage(event) {
+        this._recordMessage("received", event.data);
+
         // --- 步骤 1: 使用注入的函数优先处理内部心跳机制 ---
         if (this.options.isPongMessage && this.options.isPongMessage(event)) {
             this._handlePong();
             return; // 是心跳消息，处理完毕，直接返回
         }
 
-        // --- 步骤 2: 根据用户配置处理业务消息 ---
-        if (this.options.deserializeData) {
-            try {
-                const parsedMessage = JSON.parse(event.data);
-                this._emit("message", parsedMessage, event);
-            } catch (e) {
-                this._emit("message", event.data, event);
-            }
-        } else {
-            this._emit("message", event.data, event);
+        // --- 步骤 2: 根据用户配置解码业务消息 ---
+        let data;
+        try {
+            data = this._decode(event);
+        } catch (error) {
+            this.logger.error("消息解码失败:", error);
+            this._emit("decode-error", error, event);
+            return;
+        }
+
+        // --- 步骤 3: 优先交给等待中的请求 ---
+        if (this._resolveRequest(data, event)) {
+            return;
         }
+
+        // --- 步骤 4: 按主题路由给订阅者 ---
+        if (this._dispatchTopic(data, event)) {
+            return;
+        }
+
+        this._emit("message", data, event);
     }
 
     _onClose(event) {
-        console.log("[WS] 连接已关闭", event);
-        this._updateReadyState(WebSocket.CLOSED);
+        this.logger.info("连接已关闭", event);
+        this._updateReadyState(WS_READY_STATE.CLOSED);
         this._stopHeartbeat();
+        this.lastCloseEvent = event;
+        if (this.metrics.connectedAt) {
+            this.metrics.totalUptime += Date.now() - this.metrics.connectedAt;
+            this.metrics.connectedAt = null;
+        }
+
+        // 命中不重连规则时视同主动关闭：不再自动重连，等待中的请求全部拒绝
+        const skipReconnect = !this.forcedClose && !this._shouldReconnect(event);
+        if (skipReconnect) {
+            this.logger.warn(`关闭代码 ${event && event.code} 命中不重连规则，停止重连`);
+            this.forcedClose = true;
+            this._rejectAllRequests("CLOSED", `连接已关闭且不再重连 (code: ${event && event.code})`);
+        }
+
+        this._handleRequestsOnClose();
         this._emit("close", event);
 
-        if (!this.forcedClose) {
+        if (skipReconnect) {
+            this._emit("reconnect-skipped", event);
+        } else if (!this.forcedClose) {
             this._scheduleReconnect();
         }
     }
 
     _onError(event) {
-        console.error("[WS] 连接发生错误:", event);
+        this.logger.error("连接发生错误:", event);
         this._emit("error", event);
     }
 
@@ -262,15 +719,17 @@ export class WebSocketManager {
 
         this._stopHeartbeat();
         this.heartbeatTimer = setInterval(() => {
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            if (this.ws && this.ws.readyState === WS_READY_STATE.OPEN) {
                 try {
                     // 调用注入的函数获取消息内容并发送
                     const pingMessage = this.options.getPingMessage();
                     this.ws.send(pingMessage);
-                    console.log("[WS] 发送 Ping:", pingMessage);
+                    this.pingSentAt = Date.now();
+                    this._recordMessage("sent", pingMessage);
+                    this.logger.debug("发送 Ping:", pingMessage);
                     this._setHeartbeatTimeout();
                 } catch (error) {
-                    console.error("[WS] 发送 Ping 消息失败:", error);
+                    this.logger.error("发送 Ping 消息失败:", error);
                 }
             }
         }, this.options.heartbeatInterval);
@@ -282,12 +741,13 @@ export class WebSocketManager {
             this.heartbeatTimer = null;
         }
         this._clearHeartbeatTimeout();
+        this.pingSentAt = 0;
     }
 
     _setHeartbeatTimeout() {
         this._clearHeartbeatTimeout();
         this.heartbeatTimeoutTimer = setTimeout(() => {
-            console.error("[WS] 心跳超时，主动断开连接");
+            this.logger.warn("心跳超时，主动断开连接");
             this.ws.close(1006, "Heartbeat timeout");
         }, this.options.heartbeatTimeout);
     }
@@ -300,28 +760,58 @@ export class WebSocketManager {
     }
 
     _handlePong() {
-        console.log("[WS] 收到 Pong");
+        this.logger.debug("收到 Pong");
         this._clearHeartbeatTimeout();
+        if (this.pingSentAt) {
+            const samples = this.metrics.latencySamples;
+            samples.push(Date.now() - this.pingSentAt);
+            if (samples.length > this.options.latencySampleSize) samples.shift();
+            this.pingSentAt = 0;
+        }
     }
 
     // --- 重连机制 ---
     _scheduleReconnect() {
         if (this.forcedClose || this.isReconnecting || this.reconnectAttempts >= this.options.maxReconnectAttempts) {
             if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
-                console.error("[WS] 已达到最大重连次数，停止重连");
+                this.logger.error("已达到最大重连次数，停止重连");
+                this._rejectAllRequests("RECONNECT_FAILED", "已达到最大重连次数");
                 this._emit("reconnect-failed");
             }
             return;
         }
 
         this.isReconnecting = true;
-        const interval = Math.min(this.options.reconnectBaseInterval * Math.pow(2, this.reconnectAttempts), this.options.maxReconnectInterval);
+        const interval = this._getReconnectInterval(this.reconnectAttempts + 1);
+        this.lastReconnectInterval = interval;
+
+        const history = this.metrics.reconnectHistory;
+        history.push({ attempt: this.reconnectAttempts + 1, interval, at: Date.now(), closeCode: this.lastCloseEvent ? this.lastCloseEvent.code : undefined, closeReason: this.lastCloseEvent ? this.lastCloseEvent.reason : undefined });
+        if (history.length > this.options.reconnectHistorySize) history.shift();
 
-        console.log(`[WS] ${interval / 1000}秒后将尝试第 ${this.reconnectAttempts + 1} 次重连...`);
+        this.logger.info(`${interval / 1000}秒后将尝试第 ${this.reconnectAttempts + 1} 次重连...`);
         this._emit("reconnect-attempt", { attempt: this.reconnectAttempts + 1, interval });
 
-        this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
             this.reconnectAttempts++;
+
+            if (this.options.beforeReconnect) {
+                try {
+                    const nextUrl = await this.options.beforeReconnect({ attempt: this.reconnectAttempts, url: this.url, closeEvent: this.lastCloseEvent });
+                    if (typeof nextUrl === "string" && nextUrl) {
+                        this.url = nextUrl;
+                    }
+                } catch (error) {
+                    // 钩子失败时沿用当前地址继续重连，不能让重连就此中断
+                    this.logger.error("beforeReconnect 执行失败，使用当前地址重连:", error);
+                    this._emit("error", error);
+                }
+                // 等待期间被主动关闭或已由其他途径重连
+                if (this.forcedClose || !this.isReconnecting) return;
+            }
+
+            this.isReconnecting = false;
             this.connect();
         }, interval);
     }
@@ -331,15 +821,319 @@ export class WebSocketManager {
             clearTimeout(this.reconnectTimer);
             this.reconnectTimer = null;
         }
+        this.isReconnecting = false;
+    }
+
+    /**
+     * 按配置的策略计算第 attempt 次重连前的等待时间
+     * @param {number} attempt - 重连次数，从 1 开始
+     * @returns {number} 等待时间 (毫秒)
+     */
+    _getReconnectInterval(attempt) {
+        const { reconnectStrategy, reconnectBaseInterval: base, maxReconnectInterval: max } = this.options;
+        const exponential = Math.min(base * Math.pow(2, attempt - 1), max);
+
+        if (typeof reconnectStrategy === "function") {
+            try {
+                const interval = Number(reconnectStrategy(attempt, { baseInterval: base, maxInterval: max, previousInterval: this.lastReconnectInterval, closeEvent: this.lastCloseEvent }));
+                return Number.isFinite(interval) && interval > 0 ? interval : 0;
+            } catch (error) {
+                // 异常不能逃出 onclose 处理函数，退回默认的指数退避
+                this.logger.error("reconnectStrategy 执行失败，使用指数退避:", error);
+                return exponential;
+            }
+        }
+
+        switch (reconnectStrategy) {
+            case "full-jitter":
+                return Math.floor(Math.random() * exponential);
+            case "decorrelated-jitter": {
+                const previous = this.lastReconnectInterval || base;
+                return Math.min(max, Math.floor(base + Math.random() * (previous * 3 - base)));
+            }
+            case "linear":
+                return Math.min(base * attempt, max);
+            case "fixed":
+                return base;
+            default:
+                return exponential;
+        }
+    }
+
+    _shouldReconnect(event) {
+        const code = event && event.code;
+        if (this.options.noReconnectCloseCodes.includes(code)) return false;
+        if (typeof this.options.shouldReconnect === "function") {
+            try {
+                return this.options.shouldReconnect(event) !== false;
+            } catch (error) {
+                // 异常不能逃出 onclose 处理函数，按默认规则继续重连
+                this.logger.error("shouldReconnect 执行失败，按默认规则重连:", error);
+            }
+        }
+        return true;
+    }
+
+    // --- 编解码 ---
+    _encode(data) {
+        const { codec, serializeData } = this.options;
+        if (codec) return codec.encode(data);
+        return serializeData ? JSON.stringify(data) : data;
+    }
+
+    _decode(event) {
+        const { codec, deserializeData } = this.options;
+        if (codec) return codec.decode(event.data, event);
+        if (!deserializeData) return event.data;
+        try {
+            return JSON.parse(event.data);
+        } catch (error) {
+            // 兼容旧行为：解析失败时仍交出原始数据
+            this._emit("decode-error", error, event);
+            return event.data;
+        }
     }
 
     // --- 消息队列 ---
+    _transmit(data) {
+        const message = this._encode(data);
+        this.ws.send(message);
+        this._recordMessage("sent", message);
+        this.logger.debug("消息已发送:", message);
+    }
+
+    _enqueue(entry) {
+        const { maxQueueSize, queueOverflowPolicy } = this.options;
+        if (this.messageQueue.length >= maxQueueSize) {
+            if (queueOverflowPolicy === "reject") {
+                throw this._createError("QUEUE_FULL", `发送队列已满 (${maxQueueSize})`);
+            }
+            if (queueOverflowPolicy === "drop-newest") {
+                this._emit("queue-drop", entry.data, "overflow");
+                return;
+            }
+            const [dropped] = this.messageQueue.splice(findDropOldestIndex(this.messageQueue), 1);
+            this._emit("queue-drop", dropped.data, "overflow");
+        }
+        this.messageQueue.push(entry);
+        this._persistMessageQueue();
+    }
+
     _flushMessageQueue() {
         if (this.messageQueue.length === 0) return;
-        console.log(`[WS] 发送队列中的 ${this.messageQueue.length} 条消息`);
-        const queue = [...this.messageQueue];
-        this.messageQueue = [];
-        queue.forEach((data) => this.send(data));
+
+        const now = Date.now();
+        const queue = this.messageQueue.filter((entry) => {
+            if (entry.expiresAt > 0 && entry.expiresAt <= now) {
+                this._emit("queue-drop", entry.data, "expired");
+                return false;
+            }
+            return true;
+        });
+        // sort 为稳定排序，同优先级保持入队顺序
+        queue.sort((a, b) => b.priority - a.priority);
+        // 消息发出后才移出队列：发送中途抛错或断开时，未发出的消息仍留在队列中并被持久化
+        this.messageQueue = queue;
+
+        this.logger.debug(`发送队列中的 ${queue.length} 条消息`);
+        while (this.messageQueue.length > 0 && this.readyState === WS_READY_STATE.OPEN) {
+            const entry = this.messageQueue[0];
+            try {
+                this._transmit(entry.data);
+            } catch (error) {
+                this.logger.error("发送队列中的消息失败:", error);
+                this._emit("error", error);
+                // 连接仍然打开说明是消息本身无法发送（如编码失败），丢弃它以免每次连接都卡在这里
+                if (this.readyState !== WS_READY_STATE.OPEN) break;
+                this._emit("queue-drop", entry.data, "error");
+            }
+            this.messageQueue.shift();
+        }
+        this._persistMessageQueue();
+    }
+
+    _persistMessageQueue() {
+        const { queueStorage, queueStorageKey } = this.options;
+        if (!queueStorage) return;
+
+        const isBinary = (data) => data instanceof ArrayBuffer || ArrayBuffer.isView(data) || (typeof Blob !== "undefined" && data instanceof Blob);
+        const entries = this.messageQueue.filter((entry) => !isBinary(entry.data));
+        try {
+            const result = entries.length === 0 ? queueStorage.removeItem(queueStorageKey) : queueStorage.setItem(queueStorageKey, JSON.stringify(entries));
+            Promise.resolve(result).catch((error) => this.logger.error("持久化发送队列失败:", error));
+        } catch (error) {
+            this.logger.error("持久化发送队列失败:", error);
+        }
+    }
+
+    _restoreMessageQueue() {
+        const { queueStorage, queueStorageKey, maxQueueSize, queueOverflowPolicy } = this.options;
+        if (!queueStorage) return;
+
+        // 恢复发生在构造函数中，此时还没有监听器，事件推迟到微任务中派发
+        const emitLater = (eventName, ...args) => Promise.resolve().then(() => this._emit(eventName, ...args));
+        const fail = (error) => {
+            this.logger.error("恢复发送队列失败:", error);
+            emitLater("error", error);
+        };
+
+        const merge = (raw) => {
+            if (!raw) return;
+            let entries;
+            try {
+                entries = typeof raw === "string" ? JSON.parse(raw) : raw;
+            } catch (error) {
+                fail(error);
+                return;
+            }
+            if (!Array.isArray(entries) || entries.length === 0) return;
+            this.logger.info(`从持久化存储恢复 ${entries.length} 条消息`);
+
+            // 恢复的消息比本次会话中入队的消息更早，一次性合并后只持久化一次
+            const now = Date.now();
+            const queue = [];
+            entries.forEach((entry) => {
+                const restored = { data: entry.data, priority: entry.priority || 0, expiresAt: entry.expiresAt || 0 };
+                if (restored.expiresAt > 0 && restored.expiresAt <= now) {
+                    emitLater("queue-drop", restored.data, "expired");
+                } else {
+                    queue.push(restored);
+                }
+            });
+            queue.push(...this.messageQueue);
+
+            while (queue.length > maxQueueSize) {
+                // 恢复时不能抛错，reject 策略与 drop-newest 一样丢弃超出容量的新消息
+                const dropIndex = queueOverflowPolicy === "drop-oldest" ? findDropOldestIndex(queue) : queue.length - 1;
+                const [dropped] = queue.splice(dropIndex, 1);
+                emitLater("queue-drop", dropped.data, "overflow");
+            }
+
+            this.messageQueue = queue;
+            this._persistMessageQueue();
+            if (this.readyState === WS_READY_STATE.OPEN) {
+                this._flushMessageQueue();
+            }
+        };
+
+        try {
+            const result = queueStorage.getItem(queueStorageKey);
+            if (result && typeof result.then === "function") {
+                result.then(merge).catch(fail);
+            } else {
+                merge(result);
+            }
+        } catch (error) {
+            fail(error);
+        }
+    }
+
+    // --- 请求/响应 ---
+    _sendPendingRequest(pending) {
+        pending.sent = true;
+        this.send(pending.message);
+    }
+
+    /**
+     * 连接建立后发出尚未发送的请求；单个请求发送失败只拒绝该请求，不影响其余请求和 `open` 事件
+     */
+    _flushPendingRequests() {
+        [...this.pendingRequests.entries()].forEach(([id, pending]) => {
+            if (pending.sent) return;
+            try {
+                this._sendPendingRequest(pending);
+            } catch (error) {
+                this._rejectRequest(id, error);
+            }
+        });
+    }
+
+    _resolveRequest(data, event) {
+        if (this.pendingRequests.size === 0) return false;
+        let id;
+        try {
+            id = this.options.getResponseId(data, event);
+        } catch (e) {
+            return false;
+        }
+        if (id === undefined || id === null) return false;
+        const key = String(id);
+        if (!this.pendingRequests.has(key)) return false;
+
+        const pending = this.pendingRequests.get(key);
+        this.pendingRequests.delete(key);
+        clearTimeout(pending.timer);
+        pending.resolve(data);
+        return true;
+    }
+
+    _rejectRequest(id, error) {
+        const pending = this.pendingRequests.get(id);
+        if (!pending) return;
+        this.pendingRequests.delete(id);
+        clearTimeout(pending.timer);
+        pending.reject(error);
+    }
+
+    _rejectAllRequests(code, message) {
+        [...this.pendingRequests.keys()].forEach((id) => this._rejectRequest(id, this._createError(code, message)));
+    }
+
+    /**
+     * 连接断开时处理已发出的请求：按配置标记为待重发，或直接拒绝
+     */
+    _handleRequestsOnClose() {
+        [...this.pendingRequests.entries()].forEach(([id, pending]) => {
+            if (!pending.sent) return;
+            if (this.options.retryRequestsOnReconnect && !this.forcedClose) {
+                pending.sent = false;
+            } else {
+                this._rejectRequest(id, this._createError("CLOSED", `请求 ${id} 在响应前连接已断开`));
+            }
+        });
+    }
+
+    _createError(code, message) {
+        return createWebSocketError(code, message);
+    }
+
+    // --- 主题订阅 ---
+    _resubscribeAll() {
+        if (this.subscriptions.size === 0) return;
+        this.logger.debug(`重新订阅 ${this.subscriptions.size} 个主题`);
+        this.subscriptions.forEach((handlers, topic) => this.send(this.options.buildSubscribeMessage(topic)));
+    }
+
+    _dispatchTopic(data, event) {
+        if (this.subscriptions.size === 0) return false;
+        let topic;
+        try {
+            topic = this.options.getMessageTopic(data, event);
+        } catch (e) {
+            return false;
+        }
+        const handlers = this.subscriptions.get(topic);
+        if (topic === undefined || !handlers) return false;
+
+        [...handlers].forEach((handler) => {
+            try {
+                handler(data, event);
+            } catch (err) {
+                this.logger.error(`主题 "${topic}" 的订阅回调出错:`, err);
+            }
+        });
+        return true;
+    }
+
+    // --- 连接指标 ---
+    _recordMessage(direction, data) {
+        if (direction === "sent") {
+            this.metrics.messagesSent++;
+            this.metrics.bytesSent += getByteLength(data);
+        } else {
+            this.metrics.messagesReceived++;
+            this.metrics.bytesReceived += getByteLength(data);
+        }
     }
 
     // --- 事件系统 ---
@@ -356,15 +1150,18 @@ export class WebSocketManager {
     }
 
     _setupEventListeners() {
-        document.addEventListener("visibilitychange", this._handleVisibilityChange);
-        window.addEventListener("online", this._handleOnline);
-        window.addEventListener("offline", this._handleOffline);
+        const { visibilitySource, networkSource } = this.options;
+        if (visibilitySource) {
+            this._unsubscribeEnvironment.push(visibilitySource.subscribe(this._handleVisibilityChange));
+        }
+        if (networkSource) {
+            this._unsubscribeEnvironment.push(networkSource.subscribe(this._handleOnline, this._handleOffline));
+        }
     }
 
     _removeEventListeners() {
-        document.removeEventListener("visibilitychange", this._handleVisibilityChange);
-        window.removeEventListener("online", this._handleOnline);
-        window.removeEventListener("offline", this._handleOffline);
+        this._unsubscribeEnvironment.forEach((unsubscribe) => typeof unsubscribe === "function" && unsubscribe());
+        this._unsubscribeEnvironment = [];
     }
 
     _handleVisibilityChange() {
@@ -373,12 +1170,12 @@ export class WebSocketManager {
             return;
         }
 
-        if (document.hidden) {
-            console.log("[WS] 页面隐藏，停止心跳");
+        if (this.options.visibilitySource.isHidden()) {
+            this.logger.debug("页面隐藏，停止心跳");
             this._stopHeartbeat();
         } else {
-            console.log("[WS] 页面可见，检查连接状态");
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.logger.debug("页面可见，检查连接状态");
+            if (this.ws && this.ws.readyState === WS_READY_STATE.OPEN) {
                 this._startHeartbeat();
             } else if (!this.forcedClose && !this.isReconnecting) {
                 this.connect();
@@ -387,18 +1184,679 @@ export class WebSocketManager {
     }
 
     _handleOnline() {
-        console.log("[WS] 网络已恢复，尝试重连");
-        if (!this.forcedClose && this.readyState !== WebSocket.OPEN) {
+        this.logger.info("网络已恢复，尝试重连");
+        if (!this.forcedClose && this.readyState !== WS_READY_STATE.OPEN) {
             this._clearReconnectTimer(); // 清除当前的重连计划
             this.connect(); // 立即尝试连接
         }
     }
 
     _handleOffline() {
-        console.log("[WS] 网络已断开");
+        this.logger.info("网络已断开");
         this._clearReconnectTimer(); // 停止重连尝试
         // ws.onclose 会被触发，从而启动重连逻辑，但我们已经停止了
         // 所以这里可以手动触发一次 close 事件来通知应用层
         if (this.ws) this.ws.onclose({ code: 1006, reason: "Network offline" });
     }
 }
+
+/**
+ * SharedWebSocketManager 在标签页之间转发的 WebSocketManager 事件
+ */
+const SHARED_RELAY_EVENTS = ["open", "message", "close", "error", "ready-state-change", "reconnect-attempt", "reconnect-failed", "reconnect-skipped"];
+
+/**
+ * 把事件参数转换为可跨标签页传递的数据（MessageEvent、CloseEvent 等无法被克隆或序列化）
+ * @param {string} name - 事件名
+ * @param {Array<*>} args - 事件参数
+ * @returns {Array<*>}
+ */
+function toRelayEventArgs(name, args) {
+    switch (name) {
+        case "open":
+            return [];
+        case "message":
+            return [args[0]];
+        case "close": {
+            const event = args[0] || {};
+            return [{ code: event.code, reason: event.reason, wasClean: event.wasClean }];
+        }
+        case "error": {
+            const error = args[0];
+            return [{ message: error && error.message ? error.message : "WebSocket error" }];
+        }
+        default:
+            return args;
+    }
+}
+
+/**
+ * 创建同源标签页间的通信通道：优先 BroadcastChannel，不支持时退回 localStorage + storage 事件。
+ * @param {string} name - 通道名
+ * @param {'auto'|'broadcast-channel'|'storage'|object} transport - 通道类型；传入对象时需实现 `postMessage(msg)`、`subscribe(handler): unsubscribe`、`close()`
+ * @returns {{ postMessage: (msg: object) => void, subscribe: (handler: (msg: object) => void) => () => void, close: () => void }}
+ */
+function createTabChannel(name, transport) {
+    if (transport && typeof transport === "object") return transport;
+
+    const useBroadcastChannel = transport === "broadcast-channel" || (transport !== "storage" && typeof BroadcastChannel !== "undefined");
+    if (useBroadcastChannel) {
+        const channel = new BroadcastChannel(`___ws-shared-${name}___`);
+        return {
+            postMessage: (msg) => channel.postMessage(msg),
+            subscribe(handler) {
+                const listener = (e) => handler(e.data);
+                channel.addEventListener("message", listener);
+                return () => channel.removeEventListener("message", listener);
+            },
+            close: () => channel.close()
+        };
+    }
+
+    // 与 MyEvent_CrossPagePlugin 相同：写入后立即删除，只为触发其他页面的 storage 事件
+    const key = `___ws-shared-${name}___`;
+    return {
+        postMessage(msg) {
+            try {
+                localStorage.setItem(key, JSON.stringify(msg));
+                localStorage.removeItem(key);
+            } catch (e) {}
+        },
+        subscribe(handler) {
+            const listener = (e) => {
+                if (e.key !== key || !e.newValue) return;
+                try {
+                    handler(JSON.parse(e.newValue));
+                } catch (err) {}
+            };
+            addEventListener("storage", listener);
+            return () => removeEventListener("storage", listener);
+        },
+        close() {}
+    };
+}
+
+/**
+ * @class SharedWebSocketManager - 同源多标签页共享一条 WebSocket 连接
+ *
+ * @features
+ * - 标签页之间通过心跳租约选举出一个 leader，只有 leader 持有真实的 WebSocketManager 连接
+ * - 其他标签页（follower）的 send/request/subscribe 经通道转发给 leader，leader 把连接事件和主题消息广播给所有标签页
+ * - leader 关闭或失去响应后自动重新选举，新 leader 重新建立连接
+ * - 选举规则：最早打开的存活标签页优先（tabId 按创建时间递增）
+ *
+ * 注意：
+ * - 使用 storage 通道时消息需可 JSON 序列化，二进制数据请使用 BroadcastChannel。
+ * - leader 变更时的投递语义为“至少一次”：follower 的消息在 leader 确认发出前会一直保留，并转交新 leader；
+ *   已交给原 leader 的请求可能已经送达服务端，默认仍会由新 leader 重发（与 `retryRequestsOnReconnect` 一致），
+ *   服务端需按请求 ID 去重；不希望重发时把 `retryRequestsOnReconnect` 设为 false，这些请求会以 CLOSED 拒绝。
+ */
+export class SharedWebSocketManager {
+    /**
+     * @param {string} url - WebSocket 服务器的地址
+     * @param {object} [options={}] - 配置选项，除下列选项外均透传给 leader 内部的 WebSocketManager
+     * @param {string} [options.channelName] - 标签页通道名，相同通道名的标签页共享连接，默认使用 url
+     * @param {'auto'|'broadcast-channel'|'storage'|object} [options.transport='auto'] - 标签页通道类型，也可传入自定义通道对象
+     * @param {number} [options.leaderHeartbeatInterval=1000] - leader 广播心跳的间隔 (毫秒)
+     * @param {number} [options.leaderTimeout=3000] - 超过该时间未收到 leader 心跳即重新选举 (毫秒)
+     * @param {number} [options.electionWindow=200] - 选举时收集候选标签页的等待时间 (毫秒)
+     * @param {import("./logger.js").Logger} [options.logger] - 日志记录器，同时传给内部的 WebSocketManager，默认 `createLogger("ws")`
+     */
+    constructor(url, options = {}) {
+        const { channelName = url, transport = "auto", leaderHeartbeatInterval = 1000, leaderTimeout = 3000, electionWindow = 200, ...managerOptions } = options;
+
+        this.url = url;
+        this.options = { leaderHeartbeatInterval, leaderTimeout, electionWindow };
+        this.managerOptions = managerOptions;
+        this.logger = managerOptions.logger || createLogger("ws");
+
+        // 标签页身份与选举状态
+        this.tabId = `${Date.now().toString(36).padStart(10, "0")}-${Math.random().toString(36).slice(2, 10)}`;
+        this.isLeader = false;
+        this.leaderId = null;
+        this.lastLeaderSeenAt = 0;
+        this.candidates = null;
+        this.isDestroyed = false;
+
+        // 连接状态（follower 由 leader 广播同步）
+        this.readyState = WS_READY_STATE.CLOSED;
+        this.manager = null;
+
+        // 尚未被 leader 确认发出的消息与等待响应的请求
+        this.outbox = new Map();
+        this.sendSeq = 0;
+        this.pendingRequests = new Map();
+        this.requestSeq = 0;
+
+        // 本标签页的主题订阅；leader 另外记录各标签页订阅的主题
+        this.subscriptions = new Map();
+        this.topicSubscribers = new Map();
+
+        // leader：连接未打开时代发的消息，连接建立、队列发出后再确认；follower：最近一次 leader 心跳携带的连接指标
+        this.pendingSendAcks = [];
+        this.leaderStats = null;
+
+        // 定时器
+        this.leaderHeartbeatTimer = null;
+        this.watchdogTimer = null;
+        this.electionTimer = null;
+
+        // 事件监听器
+        this.listeners = new Map();
+
+        this._onChannelMessage = this._onChannelMessage.bind(this);
+        this._handlePageHide = this._handlePageHide.bind(this);
+
+        this.channel = createTabChannel(channelName, transport);
+        this._unsubscribeChannel = this.channel.subscribe(this._onChannelMessage);
+        if (typeof globalThis.addEventListener === "function") {
+            globalThis.addEventListener("pagehide", this._handlePageHide);
+        }
+
+        // 先询问是否已有 leader，等待一个选举窗口仍无响应则发起选举
+        this._post({ type: "hello" });
+        this.electionTimer = setTimeout(() => {
+            this.electionTimer = null;
+            if (!this.leaderId) this._startElection();
+        }, electionWindow);
+        this.watchdogTimer = setInterval(() => this._checkLeader(), leaderHeartbeatInterval);
+    }
+
+    // --- 公共 API ---
+
+    /**
+     * 发送数据。leader 直接发送；follower 转发给 leader，并保留到 leader 确认发出为止，
+     * 期间 leader 失效时转交新 leader（尚无 leader 时等选出后再发送）。
+     * @param {*} data - 要发送的数据
+     * @param {object} [sendOptions] - 透传给 WebSocketManager.send 的选项
+     */
+    send(data, sendOptions) {
+        if (this.isLeader) {
+            this.manager.send(data, sendOptions);
+            return;
+        }
+        const sendId = ++this.sendSeq;
+        this.outbox.set(sendId, { data, sendOptions });
+        if (this.leaderId) this._post({ type: "send", sendId, data, sendOptions });
+    }
+
+    /**
+     * 以请求/响应模式发送消息，语义同 WebSocketManager.request。
+     * follower 的请求由 leader 代发；leader 变更时未完成的请求（包括原 leader 自己发出的请求）会转交新 leader 重新发送，
+     * `retryRequestsOnReconnect` 为 false 时已交给原 leader 的请求改为以 CLOSED 拒绝。
+     * @param {*} payload - 请求内容
+     * @param {object} [requestOptions]
+     * @param {number} [requestOptions.timeout] - 超时时间 (毫秒)，默认取 `options.requestTimeout` 或 10000
+     * @returns {Promise<*>}
+     */
+    request(payload, { timeout = this.managerOptions.requestTimeout ?? 10000 } = {}) {
+        if (this.isDestroyed) {
+            return Promise.reject(createWebSocketError("DESTROYED", "实例已销毁"));
+        }
+
+        const requestId = ++this.requestSeq;
+        return new Promise((resolve, reject) => {
+            const pending = { payload, timeout, resolve, reject, timer: null, sent: false };
+            if (timeout > 0) {
+                pending.timer = setTimeout(() => {
+                    this.pendingRequests.delete(requestId);
+                    reject(createWebSocketError("TIMEOUT", `请求 ${requestId} 超时 (${timeout}ms)`));
+                }, timeout);
+            }
+            this.pendingRequests.set(requestId, pending);
+            if (this.isLeader || this.leaderId) this._sendRequest(requestId, pending);
+        });
+    }
+
+    /**
+     * 订阅主题，语义同 WebSocketManager.subscribe：由 leader 代为订阅，收到的主题消息广播给订阅了该主题的标签页。
+     * leader 变更时会向新 leader 重新订阅。
+     * @param {string} topic - 主题
+     * @param {function(*): void} handler - 收到该主题消息时的回调，参数为消息数据
+     * @returns {function(): void} 取消本次订阅的函数
+     */
+    subscribe(topic, handler) {
+        if (typeof handler !== "function") {
+            throw new TypeError("SharedWebSocketManager.subscribe: handler 必须是函数");
+        }
+
+        let handlers = this.subscriptions.get(topic);
+        if (!handlers) {
+            handlers = new Set();
+            this.subscriptions.set(topic, handlers);
+            if (this.isLeader) {
+                this._addTopicSubscriber(topic, this.tabId);
+            } else if (this.leaderId) {
+                this._post({ type: "subscribe", topic });
+            }
+        }
+        handlers.add(handler);
+
+        return () => this.unsubscribe(topic, handler);
+    }
+
+    /**
+     * 取消订阅。本标签页在该主题下没有任何 handler 时通知 leader，所有标签页都取消后才向服务端发送取消订阅帧。
+     * @param {string} topic - 主题
+     * @param {function} [handler] - 要移除的回调；不传则移除该主题下的全部回调
+     */
+    unsubscribe(topic, handler) {
+        const handlers = this.subscriptions.get(topic);
+        if (!handlers) return;
+
+        if (handler) {
+            handlers.delete(handler);
+        } else {
+            handlers.clear();
+        }
+
+        if (handlers.size === 0) {
+            this.subscriptions.delete(topic);
+            if (this.isLeader) {
+                this._removeTopicSubscriber(topic, this.tabId);
+            } else if (this.leaderId) {
+                this._post({ type: "unsubscribe", topic });
+            }
+        }
+    }
+
+    /**
+     * 获取连接指标快照，字段同 WebSocketManager.getStats，另附 `isLeader` 与 `leaderId`。
+     * follower 返回最近一次 leader 心跳携带的快照，最多滞后一个心跳间隔；尚未收到时只有 readyState 等状态字段。
+     * @returns {Partial<ReturnType<WebSocketManager["getStats"]>> & { readyState: number, isLeader: boolean, leaderId: string|null }}
+     */
+    getStats() {
+        const stats = this.isLeader ? this.manager.getStats() : this.leaderStats;
+        return { ...stats, readyState: this.readyState, isLeader: this.isLeader, leaderId: this.leaderId };
+    }
+
+    /**
+     * 添加事件监听器
+     * @param {string} eventName - 事件名，除 WebSocketManager 转发的事件外还有 'leader-change'
+     * @param {function} callback - 回调函数
+     */
+    on(eventName, callback) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, []);
+        }
+        this.listeners.get(eventName).push(callback);
+    }
+
+    /**
+     * 移除事件监听器
+     * @param {string} eventName - 事件名
+     * @param {function} callback - 回调函数
+     */
+    off(eventName, callback) {
+        if (this.listeners.has(eventName)) {
+            const callbacks = this.listeners.get(eventName);
+            const index = callbacks.indexOf(callback);
+            if (index > -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * 销毁实例：leader 会关闭连接并通知其他标签页立即重新选举
+     */
+    destroy() {
+        if (this.isDestroyed) return;
+        if (!this.isLeader && this.leaderId) {
+            this.subscriptions.forEach((handlers, topic) => this._post({ type: "unsubscribe", topic }));
+        }
+        this._stepDown(true);
+        this.isDestroyed = true;
+
+        clearInterval(this.watchdogTimer);
+        clearTimeout(this.electionTimer);
+        this.watchdogTimer = null;
+        this.electionTimer = null;
+
+        this.pendingRequests.forEach((pending) => {
+            clearTimeout(pending.timer);
+            pending.reject(createWebSocketError("DESTROYED", "实例已销毁"));
+        });
+        this.pendingRequests.clear();
+        this.outbox.clear();
+        this.subscriptions.clear();
+
+        this._unsubscribeChannel();
+        this.channel.close();
+        if (typeof globalThis.removeEventListener === "function") {
+            globalThis.removeEventListener("pagehide", this._handlePageHide);
+        }
+        this.listeners.clear();
+    }
+
+    // --- 选举 ---
+
+    _checkLeader() {
+        if (this.isLeader || this.candidates) return;
+        if (!this.leaderId || Date.now() - this.lastLeaderSeenAt > this.options.leaderTimeout) {
+            this.leaderId = null;
+            this._startElection();
+        }
+    }
+
+    _startElection() {
+        if (this.isDestroyed || this.isLeader || this.candidates) return;
+        this.candidates = new Set([this.tabId]);
+        this._post({ type: "claim" });
+
+        clearTimeout(this.electionTimer);
+        this.electionTimer = setTimeout(() => {
+            this.electionTimer = null;
+            const candidates = this.candidates;
+            this.candidates = null;
+            // 选举期间出现了 leader，或有更早的标签页参选
+            if (!candidates || this.leaderId) return;
+            if ([...candidates].sort()[0] === this.tabId) {
+                this._becomeLeader();
+            }
+        }, this.options.electionWindow);
+    }
+
+    _becomeLeader() {
+        this.logger.info(`标签页 ${this.tabId} 成为 leader`);
+        this.isLeader = true;
+        this.leaderId = this.tabId;
+        this._postLeaderHeartbeat();
+        this.leaderHeartbeatTimer = setInterval(() => this._postLeaderHeartbeat(), this.options.leaderHeartbeatInterval);
+
+        this.manager = new WebSocketManager(this.url, { ...this.managerOptions, autoConnect: true });
+        SHARED_RELAY_EVENTS.forEach((name) => {
+            this.manager.on(name, (...args) => {
+                if (name === "ready-state-change") this.readyState = args[0];
+                this._emit(name, ...args);
+                this._post({ type: "event", name, args: toRelayEventArgs(name, args) });
+            });
+        });
+        // open 事件在队列发出之后触发，此时才确认连接未打开期间代发的消息
+        this.manager.on("open", () => {
+            this.pendingSendAcks.forEach(({ to, sendId }) => this._post({ type: "send-ack", to, sendId }));
+            this.pendingSendAcks = [];
+        });
+
+        this._emit("leader-change", { isLeader: true, leaderId: this.tabId });
+
+        // 作为 follower 时未确认的消息、请求与订阅改由自己发出；其他标签页会在收到心跳后重新订阅
+        this.outbox.forEach(({ data, sendOptions }) => this.manager.send(data, sendOptions));
+        this.outbox.clear();
+        this._handOverRequests();
+        this.subscriptions.forEach((handlers, topic) => this._addTopicSubscriber(topic, this.tabId));
+    }
+
+    /**
+     * 把请求交给当前 leader：自己是 leader 时通过自己的连接发出，否则转发给 leader
+     * @param {number} requestId
+     * @param {object} pending
+     */
+    _sendRequest(requestId, pending) {
+        pending.sent = true;
+        if (this.isLeader) {
+            this._sendOwnRequest(requestId, pending);
+        } else {
+            this._post({ type: "request", requestId, payload: pending.payload, timeout: pending.timeout });
+        }
+    }
+
+    /**
+     * leader 变更后转交未完成的请求。已交给原 leader 的请求可能已经送达服务端，
+     * `retryRequestsOnReconnect` 为 false 时不再重发，以 CLOSED 拒绝
+     */
+    _handOverRequests() {
+        const retry = this.managerOptions.retryRequestsOnReconnect !== false;
+        [...this.pendingRequests.entries()].forEach(([requestId, pending]) => {
+            if (pending.sent && !retry) {
+                this.pendingRequests.delete(requestId);
+                clearTimeout(pending.timer);
+                pending.reject(createWebSocketError("CLOSED", `请求 ${requestId} 在响应前 leader 已变更`));
+                return;
+            }
+            this._sendRequest(requestId, pending);
+        });
+    }
+
+    /**
+     * leader 通过自己的连接发出请求。请求留在 pendingRequests 中，让位时不拒绝，而是等新 leader 出现后转交
+     * @param {number} requestId
+     * @param {object} pending
+     */
+    _sendOwnRequest(requestId, pending) {
+        const settle = (callback, value) => {
+            // 已超时、已由新 leader 响应或实例已销毁
+            if (this.pendingRequests.get(requestId) !== pending) return;
+            this.pendingRequests.delete(requestId);
+            clearTimeout(pending.timer);
+            callback(value);
+        };
+        this.manager.request(pending.payload, { timeout: pending.timeout }).then(
+            (data) => settle(pending.resolve, data),
+            (error) => {
+                // 让位导致的失败保留请求，_followLeader 或再次当选时会重新发出
+                if (!this.isLeader && !this.isDestroyed) return;
+                settle(pending.reject, error);
+            }
+        );
+    }
+
+    /**
+     * 放弃 leader 身份并关闭连接
+     * @param {boolean} notify - 是否通知其他标签页立即重新选举
+     */
+    _stepDown(notify) {
+        if (!this.isLeader) return;
+        this.logger.info(`标签页 ${this.tabId} 放弃 leader`);
+        this.isLeader = false;
+        this.leaderId = null;
+        clearInterval(this.leaderHeartbeatTimer);
+        this.leaderHeartbeatTimer = null;
+        if (notify) this._post({ type: "resign" });
+
+        this.manager.destroy();
+        this.manager = null;
+        this.topicSubscribers.clear();
+        // 未确认的代发消息由 follower 转交新 leader
+        this.pendingSendAcks = [];
+        this.readyState = WS_READY_STATE.CLOSED;
+        this._emit("leader-change", { isLeader: false, leaderId: null });
+    }
+
+    _followLeader(leaderId, readyState, stats) {
+        const changed = this.leaderId !== leaderId;
+        this.leaderId = leaderId;
+        this.lastLeaderSeenAt = Date.now();
+        if (typeof readyState === "number") this.readyState = readyState;
+        if (stats) this.leaderStats = stats;
+        if (this.candidates) {
+            clearTimeout(this.electionTimer);
+            this.electionTimer = null;
+            this.candidates = null;
+        }
+        if (!changed) return;
+
+        this._emit("leader-change", { isLeader: false, leaderId });
+        this.outbox.forEach(({ data, sendOptions }, sendId) => this._post({ type: "send", sendId, data, sendOptions }));
+        this._handOverRequests();
+        this.subscriptions.forEach((handlers, topic) => this._post({ type: "subscribe", topic }));
+    }
+
+    _postLeaderHeartbeat() {
+        this._post({ type: "leader", readyState: this.readyState, stats: this.manager ? this.manager.getStats() : null });
+    }
+
+    _handlePageHide() {
+        this._stepDown(true);
+    }
+
+    // --- 通道消息 ---
+
+    _post(msg) {
+        if (this.isDestroyed) return;
+        try {
+            this.channel.postMessage({ ...msg, from: this.tabId });
+        } catch (error) {
+            this.logger.error("标签页通道发送失败:", error);
+        }
+    }
+
+    _onChannelMessage(msg) {
+        if (this.isDestroyed || !msg || msg.from === this.tabId) return;
+        if (msg.to && msg.to !== this.tabId) return;
+
+        switch (msg.type) {
+            case "hello":
+                if (this.isLeader) this._postLeaderHeartbeat();
+                break;
+            case "claim":
+                if (this.isLeader) {
+                    this._postLeaderHeartbeat();
+                } else if (this.candidates) {
+                    this.candidates.add(msg.from);
+                }
+                break;
+            case "leader":
+                if (this.isLeader) {
+                    // 出现多个 leader 时，较晚的标签页让位
+                    if (msg.from < this.tabId) {
+                        this._stepDown(false);
+                        this._followLeader(msg.from, msg.readyState, msg.stats);
+                    } else {
+                        this._postLeaderHeartbeat();
+                    }
+                } else {
+                    this._followLeader(msg.from, msg.readyState, msg.stats);
+                }
+                break;
+            case "resign":
+                if (msg.from === this.leaderId) {
+                    this.leaderId = null;
+                    this.readyState = WS_READY_STATE.CLOSED;
+                    this._startElection();
+                }
+                break;
+            case "event":
+                if (!this.isLeader && msg.from === this.leaderId) {
+                    if (msg.name === "ready-state-change") this.readyState = msg.args[0];
+                    this._emit(msg.name, ...msg.args);
+                }
+                break;
+            case "send":
+                if (this.isLeader) this._relaySend(msg);
+                break;
+            case "send-ack":
+                this.outbox.delete(msg.sendId);
+                break;
+            case "subscribe":
+                if (this.isLeader) this._addTopicSubscriber(msg.topic, msg.from);
+                break;
+            case "unsubscribe":
+                if (this.isLeader) this._removeTopicSubscriber(msg.topic, msg.from);
+                break;
+            case "topic":
+                if (!this.isLeader && msg.from === this.leaderId) this._dispatchTopic(msg.topic, msg.data);
+                break;
+            case "request":
+                if (this.isLeader) this._relayRequest(msg);
+                break;
+            case "response":
+                this._resolveRelayedRequest(msg);
+                break;
+        }
+    }
+
+    _relaySend({ from, sendId, data, sendOptions }) {
+        try {
+            this.manager.send(data, sendOptions);
+        } catch (error) {
+            // 队列已满（reject 策略）等同步错误：按该策略丢弃，同样确认，避免 follower 反复转交
+            this.logger.error("代发消息失败:", error);
+        }
+        if (this.manager.readyState === WS_READY_STATE.OPEN) {
+            this._post({ type: "send-ack", to: from, sendId });
+        } else {
+            this.pendingSendAcks.push({ to: from, sendId });
+        }
+    }
+
+    _relayRequest({ from, requestId, payload, timeout }) {
+        this.manager.request(payload, { timeout }).then(
+            (data) => this._post({ type: "response", to: from, requestId, data }),
+            (error) => {
+                // 让位导致的失败不回复，follower 会把请求转交新 leader
+                if (!this.isLeader) return;
+                this._post({ type: "response", to: from, requestId, error: { code: error.code, message: error.message } });
+            }
+        );
+    }
+
+    _resolveRelayedRequest({ requestId, data, error }) {
+        const pending = this.pendingRequests.get(requestId);
+        if (!pending) return;
+        this.pendingRequests.delete(requestId);
+        clearTimeout(pending.timer);
+        if (error) {
+            const err = new Error(error.message);
+            err.name = "WebSocketManagerError";
+            err.code = error.code;
+            pending.reject(err);
+        } else {
+            pending.resolve(data);
+        }
+    }
+
+    // --- 主题订阅 ---
+
+    /**
+     * leader 记录订阅了主题的标签页，第一个订阅者出现时通过连接订阅
+     * @param {string} topic
+     * @param {string} tabId
+     */
+    _addTopicSubscriber(topic, tabId) {
+        let tabs = this.topicSubscribers.get(topic);
+        if (!tabs) {
+            tabs = new Set();
+            this.topicSubscribers.set(topic, tabs);
+            this.manager.subscribe(topic, (data) => {
+                this._dispatchTopic(topic, data);
+                this._post({ type: "topic", topic, data });
+            });
+        }
+        tabs.add(tabId);
+    }
+
+    /**
+     * leader 移除主题的订阅标签页，没有订阅者时通过连接取消订阅
+     * @param {string} topic
+     * @param {string} tabId
+     */
+    _removeTopicSubscriber(topic, tabId) {
+        const tabs = this.topicSubscribers.get(topic);
+        if (!tabs) return;
+        tabs.delete(tabId);
+        if (tabs.size === 0) {
+            this.topicSubscribers.delete(topic);
+            this.manager.unsubscribe(topic);
+        }
+    }
+
+    _dispatchTopic(topic, data) {
+        const handlers = this.subscriptions.get(topic);
+        if (!handlers) return;
+        [...handlers].forEach((handler) => {
+            try {
+                handler(data);
+            } catch (err) {
+                this.logger.error(`主题 "${topic}" 的订阅回调出错:`, err);
+            }
+        });
+    }
+
+    // --- 事件系统 ---
+    _emit(eventName, ...args) {
+        if (this.listeners.has(eventName)) {
+            this.listeners.get(eventName).forEach((callback) => callback(...args));
+        }
+    }
+}
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PcmResampler, pcmToWavBlob, resampleFloat32 } from "../src/source/audio.js";
+import { decodeWavSamples, int16ToFloat32, parseWavBlob } from "../src/source/wav.js";
+
+const sine = (length, freq, rate) => Float32Array.from({ length }, (_, i) => Math.sin((2 * Math.PI * freq * i) / rate));
+const rms = (samples) => Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / samples.length);
+
+test("resampleFloat32 输出长度为 ceil(输入长度 * targetRate / sourceRate)", () => {
+    assert.equal(resampleFloat32(new Float32Array(4800), 48000, 16000).length, 1600);
+    assert.equal(resampleFloat32(new Float32Array(1001), 44100, 16000).length, Math.ceil((1001 * 16000) / 44100));
+    assert.equal(resampleFloat32(new Float32Array(160), 8000, 48000).length, 960);
+});
+
+test("resampleFloat32 采样率相同时返回副本", () => {
+    const input = sine(100, 440, 16000);
+    const output = resampleFloat32(input, 16000, 16000);
+    assert.notEqual(output, input);
+    assert.deepEqual(output, input);
+});
+
+test("resampleFloat32 保留通带内的正弦波", () => {
+    for (const quality of ["sinc", "linear"]) {
+        const output = resampleFloat32(sine(48000, 1000, 48000), 48000, 16000, { quality });
+        const expected = sine(output.length, 1000, 16000);
+        // 跳过两端的滤波器过渡区
+        let maxError = 0;
+        for (let i = 200; i < output.length - 200; i++) maxError = Math.max(maxError, Math.abs(output[i] - expected[i]));
+        assert.ok(maxError < 0.02, `${quality}: max error ${maxError}`);
+    }
+});
+
+test("resampleFloat32 降采样时滤除高于目标奈奎斯特频率的成分", () => {
+    const output = resampleFloat32(sine(48000, 12000, 48000), 48000, 16000);
+    assert.ok(rms(output.subarray(200, -200)) < 0.01);
+});
+
+test("PcmResampler 分块处理与一次性处理结果一致", () => {
+    const input = sine(10000, 440, 44100);
+    const resampler = new PcmResampler(44100, 16000);
+    const parts = [];
+    for (let i = 0; i < input.length; i += 333) parts.push(resampler.process(input.subarray(i, i + 333)));
+    parts.push(resampler.flush());
+    const streamed = Float32Array.from(parts.flatMap((part) => [...part]));
+    const whole = resampleFloat32(input, 44100, 16000);
+    assert.equal(streamed.length, whole.length);
+    streamed.forEach((v, i) => assert.ok(Math.abs(v - whole[i]) < 1e-5));
+});
+
+test("PcmResampler 拒绝无效采样率", () => {
+    assert.throws(() => new PcmResampler(0, 16000), RangeError);
+    assert.throws(() => new PcmResampler(48000, NaN), RangeError);
+});
+
+test("pcmToWavBlob 接受普通数组并按格式转换", async () => {
+    const samples = [0, 1000, -1000, 32767, -32768];
+    const wav = await parseWavBlob(pcmToWavBlob(samples, 8000));
+    assert.equal(wav.format, "int16");
+    assert.equal(wav.sampleRate, 8000);
+    assert.equal(wav.frameCount, samples.length);
+    assert.deepEqual(decodeWavSamples(wav)[0], int16ToFloat32(Int16Array.from(samples)));
+
+    const floats = [0, 0.5, -0.25];
+    const floatWav = await parseWavBlob(pcmToWavBlob(floats, 16000, { format: "float32" }));
+    assert.equal(floatWav.format, "float32");
+    assert.deepEqual(decodeWavSamples(floatWav)[0], Float32Array.from(floats));
+});
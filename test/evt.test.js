@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MyEvent } from "../src/source/evt.js";
+
+test("listenerCount：事件名计入匹配的通配监听器，通配模式只统计以该模式注册的监听器", () => {
+    const evt = new MyEvent();
+    const noop = () => {};
+    evt.on("user.login", noop);
+    evt.on("user.*", noop);
+    evt.on("user.*", noop);
+    evt.on("user.**", noop);
+    evt.on("*", noop);
+
+    assert.equal(evt.listenerCount("user.login"), 5);
+    assert.equal(evt.listenerCount("user.*"), 2);
+    assert.equal(evt.listenerCount("user.**"), 1);
+    assert.equal(evt.listenerCount("*"), 1);
+    assert.equal(evt.listenerCount("order.*"), 0);
+    assert.equal(evt.listenerCount(), 5);
+});
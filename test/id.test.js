@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { MyId, SnowflakeId, UUID_NAMESPACES, getUUIDVersion, parseUUID, stringifyUUID, uuidV4, uuidV5, uuidV7, validateUUID } from "../src/source/id.js";
+
+/**
+ * 用 node:crypto 的 SHA-1 按 RFC 9562 计算 UUID v5，作为对照。
+ */
+function referenceUuidV5(name, namespace) {
+    const hash = createHash("sha1").update(parseUUID(namespace)).update(name).digest();
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    return stringifyUUID(hash.subarray(0, 16));
+}
+
+test("uuidV5 与 RFC 测试向量一致", () => {
+    // RFC 9562 附录 A.4
+    assert.equal(uuidV5("www.example.com", UUID_NAMESPACES.DNS), "2ed6657d-e927-568b-95e1-2665a8aea6a2");
+    // Python uuid 文档中的示例
+    assert.equal(uuidV5("python.org", UUID_NAMESPACES.DNS), "886313e1-3b8a-5372-9b90-0c9aee199e5d");
+});
+
+test("uuidV5 与 node:crypto 计算结果一致（含多块 SHA-1 与 UTF-8 名称）", () => {
+    const names = ["", "a", "x".repeat(47), "x".repeat(48), "y".repeat(200), "https://example.com/路径?q=✓"];
+    for (const name of names) {
+        for (const namespace of Object.values(UUID_NAMESPACES)) {
+            assert.equal(uuidV5(name, namespace), referenceUuidV5(name, namespace), JSON.stringify(name));
+        }
+    }
+    assert.equal(uuidV5(new TextEncoder().encode("www.example.com"), parseUUID(UUID_NAMESPACES.DNS)), "2ed6657d-e927-568b-95e1-2665a8aea6a2");
+    assert.throws(() => uuidV5("a", "not-a-uuid"), TypeError);
+});
+
+test("uuidV4 / uuidV7 生成合法的 UUID", () => {
+    assert.equal(getUUIDVersion(uuidV4()), 4);
+    assert.equal(getUUIDVersion(uuidV7()), 7);
+    assert.notEqual(uuidV4(), uuidV4());
+});
+
+test("uuidV7 单调递增，前 48 位为当前毫秒时间戳", () => {
+    const before = Date.now();
+    const ids = Array.from({ length: 5000 }, () => uuidV7());
+    const after = Date.now();
+    for (let i = 1; i < ids.length; i++) assert.ok(ids[i - 1] < ids[i], `${ids[i - 1]} >= ${ids[i]}`);
+    const ms = parseInt(ids[0].replace(/-/g, "").slice(0, 12), 16);
+    assert.ok(ms >= before && ms <= after + 1);
+});
+
+test("validateUUID / parseUUID / stringifyUUID", () => {
+    assert.equal(validateUUID("2ED6657D-E927-568B-95E1-2665A8AEA6A2"), true);
+    assert.equal(validateUUID("00000000-0000-0000-0000-000000000000"), true);
+    assert.equal(validateUUID("ffffffff-ffff-ffff-ffff-ffffffffffff"), true);
+    assert.equal(validateUUID("2ed6657d-e927-068b-95e1-2665a8aea6a2"), false); // 版本 0
+    assert.equal(validateUUID("2ed6657d-e927-568b-c5e1-2665a8aea6a2"), false); // 非 RFC 变体
+    assert.equal(validateUUID("not-a-uuid"), false);
+    assert.equal(stringifyUUID(parseUUID(UUID_NAMESPACES.URL)), UUID_NAMESPACES.URL);
+    assert.throws(() => parseUUID("xyz"), TypeError);
+    assert.throws(() => stringifyUUID(new Uint8Array(15)), TypeError);
+});
+
+test("SnowflakeId.decode 按 Snowflake 位布局解析", () => {
+    const ids = new SnowflakeId({ datacenterId: 3, workerId: 17 });
+    const tick = 1700000000000 - 1288834974657;
+    const id = (BigInt(tick) << 22n) | (3n << 17n) | (17n << 12n) | 4095n;
+    assert.deepEqual(ids.decode(id), { timestamp: 1700000000000, datacenterId: 3, workerId: 17, sequence: 4095 });
+    assert.deepEqual(ids.decode(id.toString()), ids.decode(id));
+    assert.throws(() => ids.decode(-1n), RangeError);
+    assert.throws(() => ids.decode(1n << 63n), RangeError);
+});
+
+test("SnowflakeId.decode 按 Sonyflake 位布局解析（时间 | 序号 | 机器）", () => {
+    const ids = new SnowflakeId({ preset: "sonyflake", workerId: 0x1234 });
+    const id = (123456789n << 24n) | (7n << 16n) | 0x1234n;
+    assert.deepEqual(ids.decode(id), { timestamp: 1409529600000 + 123456789 * 10, datacenterId: 0, workerId: 0x1234, sequence: 7 });
+});
+
+test("SnowflakeId.nextId 递增且可解析回生成参数", () => {
+    const ids = new SnowflakeId({ datacenterId: 1, workerId: 2, output: "bigint" });
+    const before = Date.now();
+    const list = Array.from({ length: 5000 }, () => ids.nextId());
+    const after = Date.now();
+    for (let i = 1; i < list.length; i++) assert.ok(list[i - 1] < list[i]);
+    const info = ids.decode(list[0]);
+    assert.equal(info.datacenterId, 1);
+    assert.equal(info.workerId, 2);
+    assert.ok(info.timestamp >= before && info.timestamp <= after);
+    assert.equal(typeof new SnowflakeId().nextId(), "string");
+});
+
+test("SnowflakeId 序号用尽时等待下一毫秒而不是重复", () => {
+    const ids = new SnowflakeId({ sequenceBits: 2 });
+    const list = Array.from({ length: 50 }, () => ids.nextId());
+    assert.equal(new Set(list).size, list.length);
+    list.map((id) => ids.decode(id)).forEach((info) => assert.ok(info.sequence <= 3));
+});
+
+test("SnowflakeId 容忍范围内的时钟回拨继续递增，超出范围时抛错", (t) => {
+    let now = Date.now();
+    t.mock.method(Date, "now", () => now);
+    const ids = new SnowflakeId({ maxClockBackwardMs: 100, output: "bigint", logger: { debug() {}, info() {}, warn() {}, error() {} } });
+    const first = ids.nextId();
+    now -= 50;
+    const second = ids.nextId();
+    assert.ok(second > first);
+    now -= 500;
+    assert.throws(() => ids.nextId(), /Clock moved backwards/);
+});
+
+test("SnowflakeId 小幅回拨期间持续生成，借用的时间单位不计入回拨幅度", (t) => {
+    let now = Date.now();
+    t.mock.method(Date, "now", () => now);
+    const ids = new SnowflakeId({ sequenceBits: 2, maxClockBackwardMs: 10, output: "bigint", logger: { debug() {}, info() {}, warn() {}, error() {} } });
+    let last = ids.nextId();
+    now -= 5;
+    // 每个时间单位只有 4 个序号，1000 个 ID 会借用远超 10ms 的时间单位
+    for (let i = 0; i < 1000; i++) {
+        const id = ids.nextId();
+        assert.ok(id > last);
+        last = id;
+    }
+    now -= 50;
+    assert.throws(() => ids.nextId(), /Clock moved backwards/);
+});
+
+test("SnowflakeId 拒绝无效配置", () => {
+    assert.throws(() => new SnowflakeId({ preset: "unknown" }), RangeError);
+    assert.throws(() => new SnowflakeId({ workerId: 32 }), RangeError);
+    assert.throws(() => new SnowflakeId({ epoch: Date.now() + 60000 }), RangeError);
+    assert.throws(() => new SnowflakeId({ output: "number" }), RangeError);
+});
+
+test("MyId 序号溢出时不产生重复 ID", () => {
+    const ids = new MyId({ len: 1 });
+    const list = Array.from({ length: 500 }, () => ids.nextId());
+    assert.equal(new Set(list).size, list.length);
+});
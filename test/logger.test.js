@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { configureLogger, createLogger } from "../src/source/logger.js";
+
+test("无效的级别名只警告并被忽略，全局、命名空间与记录器的处理一致", (t) => {
+    const records = [];
+    configureLogger({ level: "info", sink: (record) => records.push(record) });
+    t.after(() => configureLogger({ level: "warn", sink: null }));
+
+    configureLogger({ level: "verbose" });
+    configureLogger({ levels: { "logger-test": "loud" } });
+    const logger = createLogger("logger-test", { level: "toString" });
+    assert.deepEqual(
+        records.map((record) => [record.level, record.namespace]),
+        [
+            ["warn", "logger"],
+            ["warn", "logger"],
+            ["warn", "logger"]
+        ]
+    );
+
+    // 原有的 info 级别保持不变
+    records.length = 0;
+    logger.debug("hidden");
+    logger.info("shown");
+    assert.deepEqual(
+        records.map((record) => record.args),
+        [["shown"]]
+    );
+});
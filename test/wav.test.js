@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { concatPcm, decodeWavSamples, deinterleavePcm, encodeWavChunks, float32ToInt16, int16ToFloat32, interleavePcm, normalizePcm, parseWav, parseWavBlob, trimPcm } from "../src/source/wav.js";
+
+test("encodeWavChunks → parseWavBlob → decodeWavSamples：立体声 int16 往返", async () => {
+    const left = Int16Array.from({ length: 300 }, (_, i) => ((i * 97) % 65536) - 32768);
+    const right = Int16Array.from({ length: 300 }, (_, i) => 32767 - i * 50);
+    const interleaved = interleavePcm([left, right]);
+    const blob = encodeWavChunks([interleaved.subarray(0, 200), interleaved.subarray(200)], { sampleRate: 44100, channels: 2 });
+    assert.equal(blob.type, "audio/wav");
+
+    const wav = await parseWavBlob(blob);
+    assert.equal(wav.format, "int16");
+    assert.equal(wav.sampleRate, 44100);
+    assert.equal(wav.channels, 2);
+    assert.equal(wav.bitsPerSample, 16);
+    assert.equal(wav.frameCount, 300);
+    assert.equal(wav.duration, 300 / 44100);
+
+    const [decodedLeft, decodedRight] = decodeWavSamples(wav);
+    assert.deepEqual(decodedLeft, int16ToFloat32(left));
+    assert.deepEqual(decodedRight, int16ToFloat32(right));
+});
+
+test("encodeWavChunks → parseWav：float32 往返", async () => {
+    const samples = Float32Array.from({ length: 101 }, (_, i) => Math.sin(i / 5));
+    const wav = parseWav(await encodeWavChunks([samples], { sampleRate: 16000 }).arrayBuffer());
+    assert.equal(wav.format, "float32");
+    assert.equal(wav.formatTag, 3);
+    assert.deepEqual(decodeWavSamples(wav)[0], samples);
+});
+
+test("encodeWavChunks：奇数长度的 8-bit 数据补齐 data 块并写入 fact 块", async () => {
+    const bytes = new Uint8Array(await encodeWavChunks([new Uint8Array([0xff, 0x00, 0x80])], { sampleRate: 8000, format: "mulaw" }).arrayBuffer());
+    assert.equal(bytes.length % 2, 0);
+    const wav = parseWav(bytes);
+    assert.equal(wav.format, "mulaw");
+    assert.equal(wav.frameCount, 3);
+    const [samples] = decodeWavSamples(wav);
+    assert.equal(samples[0], 0); // 0xff 为 μ-law 的 0
+    assert.ok(samples[1] < -0.9 && samples[2] > 0.9); // 0x00 / 0x80 为负 / 正满幅
+});
+
+test("encodeWavChunks：数组类型与 format 不一致时抛出 TypeError", () => {
+    assert.throws(() => encodeWavChunks([new Uint8Array(4)]), TypeError);
+    assert.throws(() => encodeWavChunks([new Uint8Array(4)], { format: "int16" }), TypeError);
+    assert.throws(() => encodeWavChunks([new Int16Array(4)], { format: "float32" }), TypeError);
+    assert.throws(() => encodeWavChunks([new Int16Array(4)], { format: "int8" }), RangeError);
+});
+
+test("parseWav：拒绝不是 WAV 的数据", () => {
+    assert.throws(() => parseWav(new Uint8Array(44)), /RIFF\/WAVE/);
+});
+
+test("interleavePcm / deinterleavePcm 互逆", () => {
+    const channels = [Int16Array.of(1, 2, 3), Int16Array.of(4, 5, 6)];
+    const interleaved = interleavePcm(channels);
+    assert.deepEqual(interleaved, Int16Array.of(1, 4, 2, 5, 3, 6));
+    assert.deepEqual(deinterleavePcm(interleaved, 2), channels);
+});
+
+test("float32ToInt16 / int16ToFloat32 / concatPcm / trimPcm / normalizePcm", () => {
+    assert.deepEqual(float32ToInt16(Float32Array.of(-1, 0, 1, 2)), Int16Array.of(-32768, 0, 32767, 32767));
+    assert.deepEqual(int16ToFloat32(Int16Array.of(-32768, 16384)), Float32Array.of(-1, 0.5));
+    assert.deepEqual(concatPcm([Int16Array.of(1), Int16Array.of(2, 3)]), Int16Array.of(1, 2, 3));
+    assert.deepEqual(
+        trimPcm(
+            Int16Array.from({ length: 20 }, (_, i) => i),
+            10,
+            { start: 0.5, end: 1, channels: 2 }
+        ),
+        Int16Array.of(10, 11, 12, 13, 14, 15, 16, 17, 18, 19)
+    );
+    const normalized = normalizePcm(Float32Array.of(0.25, -0.5), { peak: 1 });
+    assert.deepEqual(normalized, Float32Array.of(0.5, -1));
+});
@@ -0,0 +1,371 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SharedWebSocketManager, WebSocketManager } from "../src/source/webSocket.js";
+
+/**
+ * 通过 options.WebSocket 注入的假 WebSocket：open / receive / drop 模拟服务端行为，sent 记录发出的帧。
+ */
+class FakeWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+    static instances = [];
+
+    constructor(url, protocols) {
+        this.url = url;
+        this.protocols = protocols;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+    }
+
+    send(data) {
+        if (this.readyState !== FakeWebSocket.OPEN) throw new Error("WebSocket is not open");
+        this.sent.push(data);
+    }
+
+    close(code = 1000, reason = "") {
+        if (this.readyState === FakeWebSocket.CLOSED) return;
+        this.readyState = FakeWebSocket.CLOSED;
+        if (this.onclose) this.onclose({ code, reason, wasClean: true });
+    }
+
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen({});
+    }
+
+    receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+
+    drop(code = 1006) {
+        this.readyState = FakeWebSocket.CLOSED;
+        this.onclose({ code, reason: "", wasClean: false });
+    }
+
+    sentMessages() {
+        return this.sent.map((data) => JSON.parse(data));
+    }
+}
+
+const managers = [];
+
+function createManager(options = {}) {
+    const manager = new WebSocketManager("ws://test", { WebSocket: FakeWebSocket, visibilitySource: null, networkSource: null, getPingMessage: null, serializeData: true, deserializeData: true, reconnectBaseInterval: 1, ...options });
+    managers.push(manager);
+    return manager;
+}
+
+const lastSocket = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test.afterEach(() => {
+    managers.splice(0).forEach((manager) => manager.destroy());
+    FakeWebSocket.instances = [];
+});
+
+test("request 在连接建立后发出，并按 id 匹配响应", async () => {
+    const manager = createManager();
+    const messages = [];
+    manager.on("message", (data) => messages.push(data));
+    const promise = manager.request({ op: "sum", args: [1, 2] });
+    const ws = lastSocket();
+    assert.equal(ws.sent.length, 0);
+
+    ws.open();
+    const [sent] = ws.sentMessages();
+    assert.deepEqual(sent, { op: "sum", args: [1, 2], id: sent.id });
+
+    ws.receive({ id: sent.id + 100, result: 0 });
+    ws.receive({ id: sent.id, result: 3 });
+    assert.deepEqual(await promise, { id: sent.id, result: 3 });
+    assert.equal(manager.pendingRequests.size, 0);
+    // 匹配到的响应不再触发 message 事件
+    assert.deepEqual(messages, [{ id: sent.id + 100, result: 0 }]);
+});
+
+test("连接断开后未响应的请求在重连成功后重发", async () => {
+    const manager = createManager();
+    lastSocket().open();
+    const promise = manager.request({ op: "load" });
+    const [first] = lastSocket().sentMessages();
+
+    lastSocket().drop();
+    await delay(20);
+    const ws = lastSocket();
+    assert.equal(FakeWebSocket.instances.length, 2);
+    ws.open();
+    assert.deepEqual(ws.sentMessages(), [first]);
+    ws.receive({ id: first.id, ok: true });
+    assert.deepEqual(await promise, { id: first.id, ok: true });
+});
+
+test("retryRequestsOnReconnect 为 false 时断线以 CLOSED 拒绝请求", async () => {
+    const manager = createManager({ retryRequestsOnReconnect: false });
+    lastSocket().open();
+    const promise = manager.request({ op: "load" });
+    lastSocket().drop();
+    await assert.rejects(promise, { code: "CLOSED" });
+});
+
+test("请求超时以 TIMEOUT 拒绝并清理记录", async () => {
+    const manager = createManager();
+    lastSocket().open();
+    await assert.rejects(manager.request({ op: "slow" }, { timeout: 5 }), { code: "TIMEOUT" });
+    assert.equal(manager.pendingRequests.size, 0);
+});
+
+test("连接建立时单个请求发送失败只拒绝该请求，其余请求照常发出并触发 open", async () => {
+    const manager = createManager();
+    let opened = false;
+    manager.on("open", () => (opened = true));
+    const broken = manager.request({ op: "bad", value: 1n });
+    const ok = manager.request({ op: "good" });
+
+    const ws = lastSocket();
+    ws.open();
+    await assert.rejects(broken, TypeError);
+    assert.equal(opened, true);
+    const [sent] = ws.sentMessages();
+    assert.equal(sent.op, "good");
+    ws.receive({ id: sent.id, ok: true });
+    assert.deepEqual(await ok, { id: sent.id, ok: true });
+});
+
+test("连接建立时先按优先级发送队列中的消息，再发出等待中的请求", () => {
+    const manager = createManager();
+    manager.send({ n: 1 });
+    manager.send({ n: 2 }, { priority: 5 });
+    manager.request({ op: "after-queue" }).catch(() => {}); // 测试结束销毁实例时以 DESTROYED 拒绝
+    manager.send({ n: 3 });
+    const ws = lastSocket();
+    ws.open();
+    const sent = ws.sentMessages();
+    assert.deepEqual(
+        sent.map((message) => message.n ?? message.op),
+        [2, 1, 3, "after-queue"]
+    );
+    assert.equal(manager.messageQueue.length, 0);
+});
+
+test("发送队列中途断开时，未发出的消息留在队列中并重新持久化", () => {
+    const storage = new Map();
+    const queueStorage = { getItem: (key) => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value), removeItem: (key) => storage.delete(key) };
+    const manager = createManager({ queueStorage });
+    const errors = [];
+    manager.on("error", (error) => errors.push(error));
+    manager.send("a");
+    manager.send("b");
+    manager.send("c");
+
+    const ws = lastSocket();
+    const send = ws.send.bind(ws);
+    ws.send = (data) => {
+        if (ws.sent.length === 1) {
+            ws.drop();
+            throw new Error("socket closed");
+        }
+        send(data);
+    };
+    ws.open();
+
+    assert.deepEqual(ws.sentMessages(), ["a"]);
+    assert.equal(errors.length, 1);
+    assert.deepEqual(
+        manager.messageQueue.map((entry) => entry.data),
+        ["b", "c"]
+    );
+    assert.deepEqual(
+        JSON.parse(storage.get(manager.options.queueStorageKey)).map((entry) => entry.data),
+        ["b", "c"]
+    );
+});
+
+test("队列已满：reject 策略抛出 QUEUE_FULL", () => {
+    const manager = createManager({ autoConnect: false, maxQueueSize: 2, queueOverflowPolicy: "reject" });
+    manager.send("a");
+    manager.send("b");
+    assert.throws(() => manager.send("c"), { code: "QUEUE_FULL" });
+    assert.deepEqual(
+        manager.messageQueue.map((entry) => entry.data),
+        ["a", "b"]
+    );
+});
+
+test("队列已满：drop-newest 丢弃新消息，drop-oldest 丢弃优先级最低的最旧消息", () => {
+    const dropped = [];
+    const newest = createManager({ autoConnect: false, maxQueueSize: 2, queueOverflowPolicy: "drop-newest" });
+    newest.on("queue-drop", (data, reason) => dropped.push([data, reason]));
+    newest.send("a");
+    newest.send("b");
+    newest.send("c");
+    assert.deepEqual(
+        newest.messageQueue.map((entry) => entry.data),
+        ["a", "b"]
+    );
+
+    const oldest = createManager({ autoConnect: false, maxQueueSize: 2 });
+    oldest.on("queue-drop", (data, reason) => dropped.push([data, reason]));
+    oldest.send("a", { priority: 1 });
+    oldest.send("b");
+    oldest.send("c");
+    assert.deepEqual(
+        oldest.messageQueue.map((entry) => entry.data),
+        ["a", "c"]
+    );
+    assert.deepEqual(dropped, [
+        ["c", "overflow"],
+        ["b", "overflow"]
+    ]);
+});
+
+test("命中 noReconnectCloseCodes 时不再重连，并拒绝等待中的请求", async () => {
+    const manager = createManager({ noReconnectCloseCodes: [4001] });
+    const skipped = [];
+    manager.on("reconnect-skipped", (event) => skipped.push(event.code));
+    lastSocket().open();
+    const promise = manager.request({ op: "load" });
+
+    lastSocket().drop(4001);
+    await assert.rejects(promise, { code: "CLOSED" });
+    await delay(20);
+    assert.deepEqual(skipped, [4001]);
+    assert.equal(FakeWebSocket.instances.length, 1);
+});
+
+test("reconnectStrategy 抛错时退回指数退避继续重连", async () => {
+    const manager = createManager({
+        reconnectStrategy: () => {
+            throw new Error("boom");
+        }
+    });
+    const attempts = [];
+    manager.on("reconnect-attempt", (info) => attempts.push(info));
+    lastSocket().open();
+    lastSocket().drop();
+    await delay(20);
+    assert.deepEqual(attempts, [{ attempt: 1, interval: 1 }]);
+    assert.equal(FakeWebSocket.instances.length, 2);
+});
+
+/**
+ * 内存中的标签页通道：同一个 bus 上的各个通道互相投递（异步、结构化克隆），模拟 BroadcastChannel。
+ */
+function createBus() {
+    const handlers = new Set();
+    return () => {
+        let own = null;
+        return {
+            postMessage: (msg) => {
+                const copy = structuredClone(msg);
+                setTimeout(() => handlers.forEach((handler) => handler !== own && handler(copy)));
+            },
+            subscribe(handler) {
+                own = handler;
+                handlers.add(handler);
+                return () => handlers.delete(handler);
+            },
+            close() {}
+        };
+    };
+}
+
+function createSharedTab(transport, options = {}) {
+    const tab = new SharedWebSocketManager("ws://test", { transport, WebSocket: FakeWebSocket, visibilitySource: null, networkSource: null, getPingMessage: null, serializeData: true, deserializeData: true, electionWindow: 5, leaderHeartbeatInterval: 10, leaderTimeout: 50, ...options });
+    managers.push(tab);
+    return tab;
+}
+
+async function until(condition, timeout = 1000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error("等待超时");
+        await delay(5);
+    }
+}
+
+test("SharedWebSocketManager：leader 未发出的 follower 消息在 leader 关闭后交给新 leader 发送", async () => {
+    const bus = createBus();
+    const first = createSharedTab(bus());
+    await until(() => first.isLeader);
+    const second = createSharedTab(bus());
+    await until(() => second.leaderId === first.tabId);
+
+    // leader 的连接尚未打开，消息只进入了它的发送队列
+    second.send({ n: 1 });
+    await delay(20);
+    assert.equal(second.outbox.size, 1);
+
+    first.destroy();
+    await until(() => second.isLeader);
+    lastSocket().open();
+    assert.deepEqual(lastSocket().sentMessages(), [{ n: 1 }]);
+    assert.equal(second.outbox.size, 0);
+});
+
+test("SharedWebSocketManager：leader 确认发出后 follower 不再保留消息", async () => {
+    const bus = createBus();
+    const first = createSharedTab(bus());
+    await until(() => first.isLeader);
+    lastSocket().open();
+    const second = createSharedTab(bus());
+    await until(() => second.leaderId === first.tabId);
+
+    second.send({ n: 1 });
+    await until(() => second.outbox.size === 0);
+    assert.deepEqual(lastSocket().sentMessages(), [{ n: 1 }]);
+});
+
+test("SharedWebSocketManager：retryRequestsOnReconnect 为 false 时，已交给原 leader 的请求在 leader 变更后以 CLOSED 拒绝", async () => {
+    const bus = createBus();
+    const first = createSharedTab(bus(), { retryRequestsOnReconnect: false });
+    await until(() => first.isLeader);
+    const second = createSharedTab(bus(), { retryRequestsOnReconnect: false });
+    await until(() => second.leaderId === first.tabId);
+
+    const promise = second.request({ op: "load" });
+    await delay(20);
+    first.destroy();
+    await assert.rejects(promise, { code: "CLOSED" });
+});
+
+test("SharedWebSocketManager：follower 的主题订阅由 leader 代为订阅并转发主题消息", async () => {
+    const bus = createBus();
+    const first = createSharedTab(bus());
+    await until(() => first.isLeader);
+    const ws = lastSocket();
+    ws.open();
+    const second = createSharedTab(bus());
+    await until(() => second.leaderId === first.tabId);
+
+    const received = [];
+    const unsubscribe = second.subscribe("news", (data) => received.push(data));
+    await until(() => ws.sent.length === 1);
+    assert.deepEqual(ws.sentMessages(), [{ type: "subscribe", topic: "news" }]);
+
+    ws.receive({ topic: "news", text: "hi" });
+    await until(() => received.length === 1);
+    assert.deepEqual(received, [{ topic: "news", text: "hi" }]);
+
+    unsubscribe();
+    await until(() => ws.sent.length === 2);
+    assert.deepEqual(ws.sentMessages()[1], { type: "unsubscribe", topic: "news" });
+});
+
+test("SharedWebSocketManager：getStats 在 follower 上返回 leader 心跳携带的指标", async () => {
+    const bus = createBus();
+    const first = createSharedTab(bus());
+    await until(() => first.isLeader);
+    lastSocket().open();
+    first.send({ n: 1 });
+    const second = createSharedTab(bus());
+    await until(() => second.getStats().messagesSent === 1);
+
+    const stats = second.getStats();
+    assert.equal(stats.isLeader, false);
+    assert.equal(stats.leaderId, first.tabId);
+    assert.equal(stats.readyState, FakeWebSocket.OPEN);
+    assert.equal(first.getStats().isLeader, true);
+});